@@ -0,0 +1,349 @@
+/**
+ * ADO Service Hook Receiver
+ *
+ * Pushes Azure DevOps work item changes back to GitHub issues (ADO → GitHub).
+ * Handles "workitem.updated" service hook payloads, either through a small
+ * local HTTP server or by replaying recorded payload files:
+ *
+ *   node adoWebhookReceiver.js                          # listen on ADO_HOOK_PORT
+ *   node adoWebhookReceiver.js payload.json --dry-run   # replay, print planned actions
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/rest');
+
+const config = require('./config');
+const StateMapper = require('./stateMapper');
+const WorkItemStore = require('./workItemStore');
+const { ApiRetry } = require('./apiRetry');
+
+// History entries written by the GitHub → ADO sync (see index-enhanced.js)
+const SYNC_HISTORY_PATTERN = /on GitHub by|View on GitHub|^GitHub <a /;
+
+// Tags added by the GitHub → ADO sync that are not GitHub labels
+const SYNC_TAG_PATTERN = /^(GitHub Issue|GitHub Pull Request|GH-\d+)$/i;
+
+class AdoWebhookReceiver {
+  /**
+   * @param {Object} options
+   * @param {StateMapper} options.stateMapper - State mapper with the mapping tables
+   * @param {WorkItemStore} options.workItemStore - Issue ↔ work item identity store
+   * @param {string} options.githubToken - GitHub token (not needed for dry runs)
+   * @param {Array<string>} options.syncIdentities - ADO identities this tool writes as
+   * @param {string} options.sharedSecret - Expected basic auth password of the service hook (required to listen)
+   * @param {boolean} options.dryRun - Plan actions without calling GitHub
+   */
+  constructor({ stateMapper, workItemStore = null, githubToken = null, syncIdentities = [], sharedSecret = null, dryRun = false }) {
+    this.stateMapper = stateMapper;
+    this.workItemStore = workItemStore;
+    this.octokit = githubToken ? ApiRetry.getDefault().wrapOctokit(new Octokit({ auth: githubToken })) : null;
+    this.syncIdentities = syncIdentities.map(identity => identity.toLowerCase());
+    this.sharedSecret = sharedSecret;
+    this.dryRun = dryRun;
+  }
+
+  /**
+   * Handle a service hook payload
+   * @param {Object} payload - ADO service hook payload
+   * @returns {Object} { handled, reason, issue, actions }
+   */
+  async handlePayload(payload) {
+    if (payload?.eventType !== 'workitem.updated') {
+      return { handled: false, reason: `Ignored event type: ${payload?.eventType}` };
+    }
+
+    const resource = payload.resource || {};
+
+    // Skip changes made by this tool (avoid infinite loops)
+    const echoReason = this.getEchoReason(resource);
+    if (echoReason) {
+      console.log(`🤖 ${echoReason}, skipping to avoid loop`);
+      return { handled: false, reason: echoReason };
+    }
+
+    const issueRef = this.resolveIssue(resource);
+    if (!issueRef) {
+      return { handled: false, reason: `No GitHub issue linked to work item ${resource.workItemId}` };
+    }
+
+    const issue = await this.getIssue(issueRef);
+    const actions = this.planActions(resource, issueRef, issue);
+
+    console.log(`🔁 Work item ${resource.workItemId} → ${issueRef.owner}/${issueRef.repo}#${issueRef.number}: ${actions.length} action(s)`);
+
+    if (!this.dryRun) {
+      for (const action of actions) {
+        await this.applyAction(issueRef, action);
+      }
+    }
+
+    return { handled: true, issue: issueRef, actions };
+  }
+
+  /**
+   * Check if an update was made by this tool
+   * @returns {string|null} Reason if the update is an echo
+   */
+  getEchoReason(resource) {
+    const revisedBy = resource.revisedBy?.uniqueName || resource.revisedBy?.displayName || '';
+    if (revisedBy && this.syncIdentities.includes(revisedBy.toLowerCase())) {
+      return `Sync identity ${revisedBy} detected`;
+    }
+
+    const history = resource.fields?.["System.History"]?.newValue || '';
+    if (SYNC_HISTORY_PATTERN.test(history)) {
+      return 'GitHub sync history entry detected';
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the GitHub issue for a work item
+   * Uses the identity store first, then the hyperlink added on creation
+   */
+  resolveIssue(resource) {
+    const workItemId = resource.workItemId || resource.revision?.id;
+
+    const entry = this.workItemStore ? this.workItemStore.getByWorkItemId(workItemId) : null;
+
+    // PR work items follow the pull request, not the other way round
+    if (entry && entry.type === 'pull_request') {
+      return null;
+    }
+
+    if (entry) {
+      return { owner: entry.owner, repo: entry.repo, number: entry.number };
+    }
+
+    for (const relation of resource.revision?.relations || []) {
+      const match = relation.rel === 'Hyperlink' && relation.url
+        ? relation.url.match(/github\.com\/([^/]+)\/([^/]+)\/issues\/(\d+)/i)
+        : null;
+
+      if (match) {
+        return { owner: match[1], repo: match[2], number: parseInt(match[3]) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch the current issue (null for dry runs)
+   */
+  async getIssue(issueRef) {
+    if (this.dryRun || !this.octokit) return null;
+
+    const response = await this.octokit.issues.get({
+      owner: issueRef.owner,
+      repo: issueRef.repo,
+      issue_number: issueRef.number
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Work out which GitHub changes an ADO update implies
+   * @param {Object} resource - Service hook resource
+   * @param {Object} issueRef - { owner, repo, number }
+   * @param {Object|null} issue - Current GitHub issue (null = unknown)
+   * @returns {Array<Object>} Actions: { type: "close"|"reopen"|"addLabels"|"removeLabel", ... }
+   */
+  planActions(resource, issueRef, issue) {
+    const actions = [];
+    const fields = resource.fields || {};
+    const revisionFields = resource.revision?.fields || {};
+
+    // === STATE ===
+    if (config.reverseSync.syncState && fields["System.State"]) {
+      const adoState = fields["System.State"].newValue;
+      const workItemType = revisionFields["System.WorkItemType"];
+      const projectName = this.stateMapper.getProjectByAreaPath(revisionFields["System.AreaPath"]);
+      const closedReason = config.reverseSync.closedStateReasons[adoState];
+
+      const target = closedReason
+        ? { issueState: 'closed' }
+        : this.stateMapper.getGithubState(workItemType, adoState, projectName);
+
+      if (!target) {
+        console.log(`  ℹ️  No GitHub state mapped for ADO state '${adoState}' (${workItemType})`);
+      } else if (!issue || issue.state !== target.issueState) {
+        actions.push(target.issueState === 'closed'
+          ? { type: 'close', stateReason: closedReason || 'completed', adoState }
+          : { type: 'reopen', adoState });
+      }
+    }
+
+    // === TAGS → LABELS ===
+    if (config.reverseSync.syncTags && fields["System.Tags"]) {
+      const oldTags = this.parseTags(fields["System.Tags"].oldValue, issueRef.repo);
+      const newTags = this.parseTags(fields["System.Tags"].newValue, issueRef.repo);
+      const currentLabels = issue ? issue.labels.map(label => label.name) : null;
+
+      const added = newTags.filter(tag => !oldTags.includes(tag) && !(currentLabels && currentLabels.includes(tag)));
+      const removed = oldTags.filter(tag => !newTags.includes(tag) && (!currentLabels || currentLabels.includes(tag)));
+
+      if (added.length > 0) {
+        actions.push({ type: 'addLabels', labels: added });
+      }
+      removed.forEach(label => actions.push({ type: 'removeLabel', label }));
+    }
+
+    return actions;
+  }
+
+  /**
+   * Apply a planned action to the GitHub issue
+   */
+  async applyAction(issueRef, action) {
+    const params = { owner: issueRef.owner, repo: issueRef.repo, issue_number: issueRef.number };
+
+    try {
+      switch (action.type) {
+        case 'close':
+          await this.octokit.issues.update({ ...params, state: 'closed', state_reason: action.stateReason });
+          console.log(`  🔒 Closed issue (ADO state: ${action.adoState})`);
+          break;
+
+        case 'reopen':
+          await this.octokit.issues.update({ ...params, state: 'open' });
+          console.log(`  🔓 Reopened issue (ADO state: ${action.adoState})`);
+          break;
+
+        case 'addLabels':
+          await this.octokit.issues.addLabels({ ...params, labels: action.labels });
+          console.log(`  🏷️  Added labels: ${action.labels.join(', ')}`);
+          break;
+
+        case 'removeLabel':
+          await this.octokit.issues.removeLabel({ ...params, name: action.label });
+          console.log(`  🏷️  Removed label: ${action.label}`);
+          break;
+      }
+    } catch (error) {
+      console.error(`❌ Error applying ${action.type} to issue #${issueRef.number}:`, error.message);
+    }
+  }
+
+  /**
+   * Split an ADO tags string, dropping tags added by the GitHub → ADO sync
+   */
+  parseTags(tagsString, repo) {
+    return (tagsString || '')
+      .split(';')
+      .map(tag => tag.trim())
+      .filter(tag => tag && !SYNC_TAG_PATTERN.test(tag) && tag !== repo)
+      .filter(tag => !tag.startsWith(config.milestones.tagPrefix));
+  }
+
+  /**
+   * Check the service hook's basic auth credentials
+   */
+  isAuthorized(request) {
+    if (!this.sharedSecret) return false;
+
+    const header = request.headers.authorization || '';
+    if (!header.startsWith('Basic ')) return false;
+
+    const credentials = Buffer.from(header.substring(6), 'base64').toString('utf8');
+    const password = Buffer.from(credentials.split(':').slice(1).join(':'));
+    const expected = Buffer.from(this.sharedSecret);
+
+    return password.length === expected.length && crypto.timingSafeEqual(password, expected);
+  }
+
+  /**
+   * Create the HTTP server (POST any path with the service hook payload)
+   */
+  createServer() {
+    return http.createServer((request, response) => {
+      if (request.method !== 'POST') {
+        response.writeHead(405).end();
+        return;
+      }
+
+      if (!this.isAuthorized(request)) {
+        response.writeHead(401).end();
+        return;
+      }
+
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', async () => {
+        try {
+          const result = await this.handlePayload(JSON.parse(body));
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify(result));
+        } catch (error) {
+          console.error('❌ Error handling service hook:', error.message);
+          response.writeHead(500, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({ handled: false, reason: error.message }));
+        }
+      });
+    });
+  }
+
+  /**
+   * Start listening for service hook requests
+   * The receiver changes issues with the GitHub token, so it only runs with a shared secret
+   */
+  listen(port = config.reverseSync.port) {
+    if (!this.sharedSecret) {
+      throw new Error('ADO_HOOK_SECRET is required to listen for service hooks');
+    }
+
+    const server = this.createServer();
+    server.listen(port, () => console.log(`👂 Listening for ADO service hooks on port ${port}`));
+    return server;
+  }
+}
+
+// === COMMAND LINE ===
+if (require.main === module) {
+  const env = process.env;
+  const args = process.argv.slice(2);
+  const payloadFile = args.find(arg => !arg.startsWith('--'));
+
+  const syncIdentities = [...config.reverseSync.adoSyncIdentities];
+  if (env.ado_sync_identity) syncIdentities.push(env.ado_sync_identity);
+
+  const receiver = new AdoWebhookReceiver({
+    stateMapper: new StateMapper(env.STATE_MAPPING_CONFIG || './Github_To_ADO_state_to_state_mapping.json'),
+    workItemStore: new WorkItemStore(env.WORK_ITEM_MAP_FILE || config.identity.cachePath),
+    githubToken: env.github_token,
+    syncIdentities,
+    sharedSecret: env.ADO_HOOK_SECRET || null,
+    dryRun: args.includes('--dry-run')
+  });
+
+  if (!config.reverseSync.enabled) {
+    console.log('ℹ️  Reverse sync is disabled in config.reverseSync');
+  } else if (payloadFile) {
+    // Replay recorded payload(s)
+    const data = JSON.parse(fs.readFileSync(payloadFile, 'utf8'));
+    const payloads = Array.isArray(data) ? data : [data];
+
+    (async () => {
+      for (const payload of payloads) {
+        const result = await receiver.handlePayload(payload);
+        console.log(JSON.stringify(result, null, 2));
+      }
+    })().catch(error => {
+      console.error('❌ Error replaying payload:', error.message);
+      process.exitCode = 1;
+    });
+  } else {
+    try {
+      receiver.listen(parseInt(env.ADO_HOOK_PORT || config.reverseSync.port));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+module.exports = AdoWebhookReceiver;
@@ -0,0 +1,284 @@
+/**
+ * API Retry Utility
+ *
+ * Retries Azure DevOps and GitHub API calls that failed for a temporary reason
+ * (throttling, server and network errors) with exponential backoff, waiting as long
+ * as the service asks for with Retry-After. Calls that change data are only repeated
+ * when the service rejected them before doing anything (throttling)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+// ADO client methods that only read
+const IDEMPOTENT_METHOD_PATTERN = /^(get|query|read|list|search)/;
+const IDEMPOTENT_HTTP_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Connection errors where the request never reached the service
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+const NETWORK_ERROR_CODES = [...CONNECT_ERROR_CODES, 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET'];
+
+// GitHub asks to wait at least a minute after a secondary rate limit
+const SECONDARY_RATE_LIMIT_DELAY = 60000;
+
+/**
+ * Final error of a call that failed (after retries), with the details for the failure log
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} operation - What was called ("ADO createWorkItem", "GitHub GET /repos/{owner}/{repo}/issues")
+   * @param {Object} failure - From ApiRetry.classify()
+   * @param {number} attempts - Attempts made
+   */
+  constructor(operation, failure, attempts) {
+    super(`${operation} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${failure.message}`);
+    this.name = 'ApiError';
+    this.operation = operation;
+    this.category = failure.category;
+    this.status = failure.status;
+    this.code = failure.code;
+    this.retryable = failure.retryable;
+    this.attempts = attempts;
+    this.cause = failure.error;
+  }
+
+  toJSON() {
+    return {
+      operation: this.operation,
+      category: this.category,
+      status: this.status,
+      code: this.code,
+      retryable: this.retryable,
+      attempts: this.attempts,
+      message: this.cause?.message || this.message
+    };
+  }
+}
+
+class ApiRetry {
+  /**
+   * @param {Object} settings - { retryCount, retryDelay, maxRetryDelay, retryableAdoCodes } (config.errorHandling)
+   */
+  constructor(settings) {
+    this.retryCount = settings.retryCount ?? 3;
+    this.retryDelay = settings.retryDelay ?? 2000;
+    this.maxRetryDelay = settings.maxRetryDelay ?? 60000;
+    this.retryableAdoCodes = settings.retryableAdoCodes || [];
+
+    // Last call that failed for good (for the failure log); cleared with takeFailure()
+    this.lastFailure = null;
+    this.failureScope = new AsyncLocalStorage();
+
+    // Shared RateBudget the calls take their tokens from (bulk migration)
+    this.budget = null;
+  }
+
+  /**
+   * Shared instance configured from config.errorHandling
+   */
+  static getDefault() {
+    if (!ApiRetry.default) {
+      ApiRetry.default = new ApiRetry(config.errorHandling);
+    }
+    return ApiRetry.default;
+  }
+
+  /**
+   * Take the tokens for every call from a shared budget
+   * @param {RateBudget|null} budget
+   */
+  useBudget(budget) {
+    this.budget = budget;
+  }
+
+  /**
+   * Run a call, retrying temporary failures
+   * @param {string} operation - Name for logs and the final error
+   * @param {Function} call - Async function making the call
+   * @param {Object} options - { idempotent: false if repeating the call could apply a change twice,
+   *   service: budget bucket ("githubRest", "githubGraphql", "ado"), none to not count the call }
+   * @returns {*} Result of the call
+   * @throws {ApiError} When the call fails for good
+   */
+  async run(operation, call, { idempotent = true, service = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      if (this.budget && service) {
+        await this.budget.take(service);
+      }
+
+      try {
+        return await call();
+      } catch (error) {
+        const failure = ApiRetry.classify(error, this.retryableAdoCodes);
+        const repeatable = idempotent || failure.notProcessed;
+        const wait = this.getDelay(failure, attempt);
+
+        if (!failure.retryable || !repeatable || attempt > this.retryCount || wait === null) {
+          const apiError = new ApiError(operation, failure, attempt);
+          (this.failureScope.getStore() || this).lastFailure = apiError;
+          throw apiError;
+        }
+
+        // Other workers wait out the rate limit too instead of running into it
+        if (this.budget && service && failure.category === 'rate_limit') {
+          this.budget.pause(service, wait);
+        }
+
+        console.log(`⏳ ${operation}: ${failure.message} (${failure.category}${failure.status ? ` ${failure.status}` : ''}), ` +
+          `retry ${attempt}/${this.retryCount} in ${(wait / 1000).toFixed(1)}s`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  /**
+   * Wait before the next attempt: Retry-After if given, else exponential backoff with jitter
+   * @returns {number|null} Milliseconds, or null if the service asks to wait longer than maxRetryDelay
+   */
+  getDelay(failure, attempt) {
+    if (failure.retryAfter !== null) {
+      return failure.retryAfter <= this.maxRetryDelay ? failure.retryAfter : null;
+    }
+
+    const backoff = this.retryDelay * 2 ** (attempt - 1);
+    return Math.min(this.maxRetryDelay, Math.round(backoff * (1 + Math.random() * 0.2)));
+  }
+
+  /**
+   * Take (and clear) the last final failure (of the current isolate() task, if any)
+   * @returns {ApiError|null}
+   */
+  takeFailure() {
+    const scope = this.failureScope.getStore() || this;
+    const failure = scope.lastFailure;
+    scope.lastFailure = null;
+    return failure;
+  }
+
+  /**
+   * Run a task with its own last failure, so concurrent tasks don't see each other's
+   * @param {Function} task - Async function
+   */
+  isolate(task) {
+    return this.failureScope.run({ lastFailure: null }, task);
+  }
+
+  /**
+   * Wrap an azure-devops-node-api client so every method call is retried
+   * (get/query/read/list methods as idempotent, others only when throttled)
+   */
+  wrap(client, service = 'ADO') {
+    return new Proxy(client, {
+      get: (target, name) => {
+        const value = target[name];
+        if (typeof value !== 'function' || typeof name !== 'string') return value;
+
+        return (...args) => this.run(`${service} ${name}`, () => value.apply(target, args), {
+          idempotent: IDEMPOTENT_METHOD_PATTERN.test(name),
+          service: 'ado'
+        });
+      }
+    });
+  }
+
+  /**
+   * Retry the requests of an Octokit instance
+   */
+  wrapOctokit(octokit) {
+    octokit.hook.wrap('request', (request, options) =>
+      this.run(`GitHub ${options.method} ${options.url}`, () => request(options), {
+        idempotent: IDEMPOTENT_HTTP_METHODS.includes(options.method),
+        service: 'githubRest'
+      })
+    );
+    return octokit;
+  }
+
+  /**
+   * Wrap an @octokit/graphql function (queries are idempotent, mutations only retried when throttled)
+   */
+  wrapGraphql(graphqlWithAuth) {
+    return (query, parameters) => this.run('GitHub GraphQL', () => graphqlWithAuth(query, parameters), {
+      idempotent: !/^\s*mutation\b/.test(query),
+      service: 'githubGraphql'
+    });
+  }
+
+  /**
+   * Classify an error from azure-devops-node-api, Octokit, @octokit/graphql or fetch
+   * @returns {Object} { category: "rate_limit"|"server"|"network"|"client"|"unknown", retryable,
+   *   notProcessed (the service did nothing), status, code, retryAfter (ms or null), message, error }
+   */
+  static classify(error, retryableAdoCodes = []) {
+    const status = error.statusCode || error.status || error.response?.status || null;
+    const headers = getHeaders(error);
+    const message = error.message || String(error);
+    // Octokit's RequestError.code is a deprecated alias of status
+    const code = (message.match(/\b(?:TF|VS)\d{5,6}\b/) || [])[0] || error.cause?.code ||
+      (error.name === 'HttpError' ? null : error.code) || null;
+    const graphqlTypes = (error.errors || []).map(graphqlError => graphqlError.type);
+
+    const failure = { category: 'unknown', retryable: false, notProcessed: false, status, code, retryAfter: getRetryAfter(headers), message, error };
+
+    const rateLimited = status === 429 ||
+      graphqlTypes.includes('RATE_LIMITED') ||
+      (status === 403 && (/rate limit/i.test(message) || headers['x-ratelimit-remaining'] === '0'));
+
+    if (rateLimited) {
+      if (failure.retryAfter === null && /secondary rate limit/i.test(message)) {
+        failure.retryAfter = SECONDARY_RATE_LIMIT_DELAY;
+      }
+      return { ...failure, category: 'rate_limit', retryable: true, notProcessed: true };
+    }
+
+    if ([408, 500, 502, 503, 504].includes(status) || retryableAdoCodes.includes(code)) {
+      return { ...failure, category: 'server', retryable: true };
+    }
+
+    if (NETWORK_ERROR_CODES.includes(code)) {
+      return { ...failure, category: 'network', retryable: true, notProcessed: CONNECT_ERROR_CODES.includes(code) };
+    }
+
+    if (status >= 400 && status < 500) {
+      return { ...failure, category: 'client' };
+    }
+
+    return failure;
+  }
+}
+
+/**
+ * Response headers of an error (lowercase names)
+ */
+function getHeaders(error) {
+  // GraphqlResponseError keeps them on the error; Octokit's RequestError.headers is deprecated
+  const headers = error.responseHeaders || error.response?.headers || (error.name === 'GraphqlResponseError' ? error.headers : null) || {};
+  return typeof headers.get === 'function' ? Object.fromEntries(headers.entries()) : headers;
+}
+
+/**
+ * Delay asked for by the service: Retry-After (seconds or HTTP date), or the GitHub
+ * rate limit reset when no requests are left
+ * @returns {number|null} Milliseconds
+ */
+function getRetryAfter(headers) {
+  const retryAfter = headers['retry-after'];
+
+  if (retryAfter !== undefined && retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(ms)) return Math.max(0, ms);
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+  }
+
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { ApiRetry, ApiError };
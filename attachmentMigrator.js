@@ -0,0 +1,234 @@
+/**
+ * Attachment Migration Utility
+ *
+ * Copies images and files embedded in GitHub issues and comments into
+ * Azure DevOps attachments, and rewrites the HTML to point at the ADO copies
+ */
+
+const azdev = require('azure-devops-node-api');
+const path = require('path');
+const { Readable } = require('stream');
+const { ApiRetry } = require('./apiRetry');
+
+// GitHub-hosted uploads (issue/comment drag & drop)
+const ATTACHMENT_URL_PATTERN = new RegExp(
+  'https://(?:' +
+    '(?:private-)?user-images\\.githubusercontent\\.com/' +
+    '|github\\.com/user-attachments/(?:assets|files)/' +
+    '|github\\.com/[^/\\s"\'<>]+/[^/\\s"\'<>]+/(?:assets|files)/' +
+  ')[^\\s"\'<>)]+',
+  'g'
+);
+
+// Extensions for uploads without one (github.com/user-attachments/assets/<uuid>)
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'text/plain': '.txt'
+};
+
+class AttachmentMigrator {
+  /**
+   * @param {string} githubToken - GitHub token (for private repository uploads)
+   * @param {string} adoToken - ADO personal access token
+   * @param {string} orgUrl - ADO organization URL
+   * @param {string} project - ADO project
+   * @param {Object} options - { includeFiles, maxSizeMb }
+   */
+  constructor(githubToken, adoToken, orgUrl, project, options = {}) {
+    this.githubToken = githubToken;
+    this.adoToken = adoToken;
+    this.orgUrl = orgUrl;
+    this.project = project;
+    this.includeFiles = options.includeFiles !== false;
+    this.maxBytes = (options.maxSizeMb || 60) * 1024 * 1024;
+
+    this.client = null;
+
+    // Source URL → uploaded attachment, shared by all issues of a run
+    this.uploaded = new Map();
+  }
+
+  /**
+   * Initialize the ADO connection
+   */
+  async initialize() {
+    if (this.client) return;
+
+    const authHandler = azdev.getHandlerFromToken(this.adoToken);
+    const connection = new azdev.WebApi(this.orgUrl, authHandler);
+    this.client = await connection.getWorkItemTrackingApi();
+  }
+
+  /**
+   * Find GitHub-hosted attachment URLs in HTML
+   * @param {string} html - Converted issue/comment HTML
+   * @returns {Array<string>} Unique URLs
+   */
+  findAttachmentUrls(html) {
+    const urls = new Set((html || '').match(ATTACHMENT_URL_PATTERN) || []);
+
+    return Array.from(urls)
+      .map(url => url.replace(/&amp;/g, '&'))
+      .filter(url => this.includeFiles || this.isImageUrl(url, html));
+  }
+
+  /**
+   * Check if a URL is used as an image (<img src>) rather than a file link
+   */
+  isImageUrl(url, html) {
+    return html.includes(`src="${url}"`) || html.includes(`src="${url.replace(/&/g, '&amp;')}"`);
+  }
+
+  /**
+   * Copy attachments referenced in HTML to ADO and rewrite the links
+   * @param {string} html - Converted issue/comment HTML
+   * @param {Object} known - Source URL → ADO URL already migrated for this work item
+   * @returns {Object} { html, attachments: [{ sourceUrl, url, fileName }] } (attachments = not yet on this work item)
+   */
+  async migrate(html, known = {}) {
+    const attachments = [];
+    let rewritten = html;
+
+    for (const sourceUrl of this.findAttachmentUrls(html)) {
+      let adoUrl = known[sourceUrl];
+
+      if (!adoUrl) {
+        // Reuse uploads from other issues of this run
+        const attachment = this.uploaded.get(sourceUrl) || await this.copyAttachment(sourceUrl);
+        if (!attachment) continue;
+
+        attachments.push(attachment);
+        adoUrl = attachment.url;
+      }
+
+      rewritten = rewritten
+        .split(sourceUrl).join(adoUrl)
+        .split(sourceUrl.replace(/&/g, '&amp;')).join(adoUrl);
+    }
+
+    return { html: rewritten, attachments };
+  }
+
+  /**
+   * Download an attachment from GitHub and upload it to ADO
+   * @returns {Object|null} { sourceUrl, url, fileName } or null on failure
+   */
+  async copyAttachment(sourceUrl) {
+    try {
+      const download = await this.download(sourceUrl);
+
+      if (download.content.length > this.maxBytes) {
+        console.log(`  ⚠️  Attachment too large (${Math.round(download.content.length / 1024 / 1024)} MB), keeping link: ${sourceUrl}`);
+        return null;
+      }
+
+      await this.initialize();
+
+      // A repeated upload only leaves an unreferenced attachment, so it's retried like a read
+      // (with a new stream each attempt)
+      const reference = await ApiRetry.getDefault().run('ADO createAttachment', () => this.client.createAttachment(
+        null,
+        Readable.from(download.content),
+        download.fileName,
+        'simple',
+        this.project
+      ), { service: 'ado' });
+
+      const attachment = {
+        sourceUrl,
+        url: `${reference.url}?fileName=${encodeURIComponent(download.fileName)}`,
+        fileName: download.fileName
+      };
+
+      this.uploaded.set(sourceUrl, attachment);
+      console.log(`  📎 Migrated attachment: ${download.fileName}`);
+      return attachment;
+
+    } catch (error) {
+      console.error(`  ❌ Error migrating attachment ${sourceUrl}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download a GitHub attachment with the GitHub token
+   * @returns {Object} { content: Buffer, fileName }
+   */
+  async download(sourceUrl) {
+    const headers = {};
+
+    // Token is only sent to GitHub; redirects to storage hosts drop it
+    if (this.githubToken && new URL(sourceUrl).hostname === 'github.com') {
+      headers.authorization = `token ${this.githubToken}`;
+    }
+
+    const response = await ApiRetry.getDefault().run('GitHub attachment download', async () => {
+      const result = await fetch(sourceUrl, { headers, redirect: 'follow' });
+      if (!result.ok) {
+        throw Object.assign(new Error(`Download failed: HTTP ${result.status}`), { status: result.status, response: result });
+      }
+      return result;
+    });
+
+    const content = Buffer.from(await response.arrayBuffer());
+    const fileName = this.getFileName(sourceUrl, response.headers);
+
+    return { content, fileName };
+  }
+
+  /**
+   * Work out a file name from the response headers or URL
+   */
+  getFileName(sourceUrl, headers) {
+    const disposition = headers.get('content-disposition') || '';
+    const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+    if (match) {
+      return decodeURIComponent(match[1]);
+    }
+
+    let fileName = decodeURIComponent(path.basename(new URL(sourceUrl).pathname)) || 'attachment';
+
+    if (!path.extname(fileName)) {
+      const contentType = (headers.get('content-type') || '').split(';')[0].trim();
+      fileName += CONTENT_TYPE_EXTENSIONS[contentType] || '';
+    }
+
+    return fileName;
+  }
+
+  /**
+   * Build AttachedFile relation patches for uploaded attachments
+   */
+  static buildRelationPatches(attachments) {
+    return attachments.map(attachment => ({
+      op: "add",
+      path: "/relations/-",
+      value: {
+        rel: "AttachedFile",
+        url: attachment.url.split('?')[0],
+        attributes: {
+          comment: `Migrated from GitHub: ${attachment.sourceUrl}`
+        }
+      }
+    }));
+  }
+
+  /**
+   * Get migration statistics
+   */
+  getStats() {
+    return {
+      uploadedAttachments: this.uploaded.size
+    };
+  }
+}
+
+module.exports = AttachmentMigrator;
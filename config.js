@@ -1,11 +1,15 @@
 /**
  * Configuration Module for GitHub to Azure DevOps Migration
  * 
- * This file contains all configurable settings for the migration process.
- * Modify these settings to control which features are enabled/disabled.
+ * This file contains the default settings for the migration process.
+ * Don't edit it per project: put your values in a JSON/YAML file (SYNC_CONFIG_FILE,
+ * see sync-config.yml and config.schema.json) or override single keys with
+ * SYNC_CONFIG__<section>__<key> environment variables.
  */
 
-module.exports = {
+const { loadConfig } = require('./configLoader');
+
+const defaults = {
   /**
    * Feature Flags - Enable/Disable specific sync features
    * Set to false to skip syncing that metadata type
@@ -17,6 +21,7 @@ module.exports = {
     syncAssignees: true,                // Sync assignees
     syncLabels: true,                   // Sync labels as tags
     syncComments: true,                 // Sync all comments
+    syncAttachments: true,              // Copy images/files from issues and comments to ADO attachments
     syncDates: true,                    // Preserve created/closed dates (requires bypassRules)
     syncHierarchy: true,                // Preserve parent/child relationships
     syncProjectStatus: true,            // Sync GitHub Projects status to ADO state
@@ -31,10 +36,34 @@ module.exports = {
 
   /**
    * Work Item Type Detection
-   * Order matters - first match wins
-   * Format: { pattern: "regex or string", type: "ADO Work Item Type" }
+   * The rules are checked in "precedence" order, the first one that matches decides
    */
   workItemTypes: {
+    //   issueType    - GitHub issue type (issueTypes)
+    //   projectField - GitHub Projects single select field (projectFields)
+    //   template     - issue form the issue was created from (templates)
+    //   title        - title prefix (patterns)
+    //   label        - first label with a type (labelFallbacks)
+    precedence: ["issueType", "projectField", "template", "title", "label"],
+
+    // GitHub issue type → ADO type
+    issueTypes: {
+      "Bug": "Bug",
+      "Feature": "Product Backlog Item",
+      "Task": "Task",
+    },
+
+    // GitHub Projects field → { value: ADO type }, e.g. { "Type": { "Spike": "Task" } }
+    projectFields: {},
+
+    // Issue form name (the form's "name:") → ADO type, e.g. { "Bug report": "Bug" }
+    templates: {},
+
+    // Where the issue forms are read from
+    templateDir: ".github/ISSUE_TEMPLATE",
+
+    // Title patterns, first match wins
+    // Format: { pattern: /regex/ (or "/regex/flags" in a settings file), type: "ADO Work Item Type" }
     patterns: [
       { pattern: /^\[Epic\]/i, type: "Epic" },
       { pattern: /^\[Story\]/i, type: "Product Backlog Item" },
@@ -42,6 +71,7 @@ module.exports = {
       { pattern: /^\[IMPROVEMENT\]/i, type: "Product Backlog Item" },
       { pattern: /^\[Bug\]/i, type: "Bug" },
     ],
+    // Label → ADO type (case-insensitive)
     labelFallbacks: {
       "epic": "Epic",
       "user-story": "Product Backlog Item",
@@ -49,7 +79,12 @@ module.exports = {
       "bug": "Bug",
       "spike": "Task",
     },
-    default: "Product Backlog Item"
+
+    // When no rule matches
+    default: "Product Backlog Item",
+
+    // Change the ADO type when the issue is edited or relabeled and another type matches
+    followChanges: true,
   },
 
   /**
@@ -57,10 +92,11 @@ module.exports = {
    */
   projects: {
     enabled: true,
-    // Project IDs or numbers to sync from
-    projectIds: [31, 37],  // From user's URLs
-    // Default project if issue not in any project
-    defaultProject: "siwar",
+    // GitHub project numbers to sync from, in priority order: an issue in several
+    // projects uses the first one listed. Empty: any project (lowest number first)
+    projectIds: [],
+    // Default project if issue not in any project (needs an areaPaths.defaults entry)
+    defaultProject: null,
   },
 
   /**
@@ -108,6 +144,18 @@ module.exports = {
     }
   },
 
+  /**
+   * Attachment Migration
+   * Images and files uploaded to GitHub (user-images.githubusercontent.com, github.com/.../assets)
+   */
+  attachments: {
+    // Also copy linked files (zip, pdf, logs...), not just inline images
+    includeFiles: true,
+
+    // Larger files keep their GitHub link
+    maxSizeMb: 60,
+  },
+
   /**
    * Pull Request Configuration
    */
@@ -121,12 +169,13 @@ module.exports = {
     // Reviewer mapping
     reviewers: {
       // GitHub reviewers become optional reviewers in ADO
+      // (mapped through the user mapping; work items have no reviewer field, so they aren't assigned)
       mapToOptional: true,
       // Also add as comment?
       addAsComment: true,
     },
     
-    // PR state mapping
+    // PR state mapping (values must be valid states of workItemType)
     stateMapping: {
       "open": "To Do",
       "merged": "Done",
@@ -134,6 +183,43 @@ module.exports = {
     }
   },
 
+  /**
+   * Development Links (features.syncDevelopmentLinks)
+   * Commits, branches and PRs connected to an issue are linked on its work item
+   */
+  developmentLinks: {
+    // ADO GitHub connection repository id per repository, enables "GitHub Commit" /
+    // "GitHub Pull Request" artifact links (override with ado_github_repository_id)
+    // Repositories without an id get plain hyperlinks
+    repositoryIds: {
+      // "owner/repo": "00000000-0000-0000-0000-000000000000",
+    },
+
+    // Backfill from the issue timeline during bulk migration
+    backfillOnMigration: true,
+  },
+
+  /**
+   * Milestone Configuration (features.syncMilestones)
+   */
+  milestones: {
+    // How a milestone shows up in ADO:
+    //   "iteration"  - iteration named after the milestone, ending on its due date
+    //                  (a GitHub Projects sprint takes precedence)
+    //   "tag"        - tag "<tagPrefix><milestone title>"
+    //   "targetDate" - due date written to targetDateField
+    strategy: "iteration",
+
+    // Tag prefix for the "tag" strategy
+    tagPrefix: "Milestone: ",
+
+    // Date field for the "targetDate" strategy (must exist on the work item types)
+    targetDateField: "Microsoft.VSTS.Scheduling.TargetDate",
+
+    // Iteration length before the due date (days); milestones without a due date get an undated iteration
+    iterationDuration: 14,
+  },
+
   /**
    * Iteration/Sprint Configuration
    */
@@ -148,11 +234,19 @@ module.exports = {
     // Default sprint duration if can't parse dates (days)
     defaultDuration: 14,
     
-    // Root iteration path
-    rootPath: "siwar",  // Will be project-specific
+    // Iteration the sprints are created under, e.g. "MyProject\\Releases" (null = project root)
+    rootPath: null,
     
-    // Iteration naming template
-    nameTemplate: "Sprint {number}",
+    // Iteration path below rootPath, "\\" starts a child iteration
+    //   {name}    - sprint or milestone name
+    //   {number}  - first number in the name ({n} for short)
+    //   {year}, {quarter}, {month} - of the sprint's start date (sprints and milestones without
+    //                                dates, or with a date range lacking the year, get no iteration)
+    // Example: "{year}\\Q{quarter}\\Sprint {number}" → MyProject\2024\Q4\Sprint 68
+    nameTemplate: "{name}",
+
+    // Teams that get the new iterations on their boards ([] = the project's default team)
+    teams: [],
   },
 
   /**
@@ -162,12 +256,8 @@ module.exports = {
     // Can be modified in export - just use any value for now
     allowPlaceholder: true,
     
-    // Default area paths per project (from JSON config)
-    defaults: {
-      "siwar": "سوار\\سوار Team",
-      "falak": "فلك\\فلك Team",
-      "balsam": "بلسم\\بلسم Team"
-    }
+    // Default area paths per project: { "project": "Project\\Team" }
+    defaults: {}
   },
 
   /**
@@ -179,18 +269,12 @@ module.exports = {
     
     // Labels that map to ADO Priority field
     priorityLabels: {
-      "ذات أهمية قصوى": 1,  // Critical
       "blocker": 1,
       "high-priority": 1,
-      "مؤجل": 4  // Deferred/Low
     },
     
-    // Labels that trigger state changes
-    stateLabels: {
-      "ReadyForQA": null,  // Don't change state, just tag
-      "QaPass": null,
-      "QaFailed": null,
-    },
+    // Labels that trigger state changes (null = don't change state, just tag)
+    stateLabels: {},
     
     // All labels become tags unless mapped above
     allAsTags: true,
@@ -220,14 +304,124 @@ module.exports = {
     // Preserve parent/child relationships from GitHub
     enabled: true,
     
-    // Use GitHub issue relationships (blocked by, depends on, etc.)
+    // Use GitHub issue relationships (sub-issues; blocked by, depends on, etc.)
     useIssueRelationships: true,
     
     // Also check for parent/child in issue body
+    // (task list items "- [ ] #123" make #123 a child of the issue)
     parseBodyForParent: true,
+
+    // Work item types whose task lists are read as children
+    taskListParentTypes: ["Epic"],
     
     // Link type to use
     linkType: "System.LinkTypes.Hierarchy-Reverse",  // Child → Parent
+
+    // Link types for GitHub issue relationships (useIssueRelationships)
+    relationLinkTypes: {
+      blockedBy: "System.LinkTypes.Dependency-Reverse",   // Predecessor
+      blocking: "System.LinkTypes.Dependency-Forward",    // Successor
+      duplicateOf: "System.LinkTypes.Duplicate-Reverse",  // Duplicate Of
+    },
+  },
+
+  /**
+   * Reverse Sync (ADO → GitHub)
+   * Handles ADO service hook "workitem.updated" payloads
+   */
+  reverseSync: {
+    enabled: true,
+
+    // Port for the local receiver (override with ADO_HOOK_PORT)
+    port: 3000,
+
+    // Close/reopen the issue when the ADO state changes
+    syncState: true,
+
+    // Mirror ADO tag changes to GitHub labels
+    syncTags: true,
+
+    // ADO states not in the mapping JSON that still close the issue, with GitHub's state_reason
+    closedStateReasons: {
+      "Removed": "not_planned",
+    },
+
+    // Identities this tool writes as: the ADO PAT owner and the GitHub account of github_token
+    // Their updates are ignored on both sides to avoid loops. Can also be set with ado_sync_identity
+    adoSyncIdentities: [],
+  },
+
+  /**
+   * GitHub Projects Item Events
+   * projects_v2_item webhooks (organization level), relayed to the workflow as
+   * repository_dispatch by projectsWebhookRelay.js
+   */
+  projectEvents: {
+    enabled: true,
+
+    // Port for the local relay (override with GITHUB_HOOK_PORT)
+    port: 3001,
+
+    // Item actions that re-sync the work item's state, iteration and custom fields
+    actions: ["created", "edited", "deleted"],
+  },
+
+  /**
+   * Work Item Identity
+   * How a GitHub issue is matched to its ADO work item
+   */
+  identity: {
+    // Local JSON mirror of the issue → work item mapping (override with WORK_ITEM_MAP_FILE)
+    cachePath: "/tmp/work_item_map.json",
+
+    // ADO field that stores the issue key "owner/repo#number" (e.g. "Custom.GitHubIssue")
+    // Leave null if the field doesn't exist in your process
+    adoField: null,
+
+    // Last resort when neither the field nor the tags find the work item: search for the one
+    // linked to the issue URL (the Hyperlink added on creation); survives a lost cache and edited
+    // GH-<n> tags, but reads the links of all the repository's work items once per run
+    hyperlinkSearch: false,
+
+    // Fall back to searching by GH-<number> and repo tags when no mapping is found
+    fallbackToTagSearch: true,
+  },
+
+  /**
+   * User Mapping
+   */
+  userMapping: {
+    // MIGRATION_MODE=discover_users: match GitHub org members to ADO users
+    discovery: {
+      // Proposed mapping (same format as user_mapping.json) and the report of every match and unresolved user
+      outputPath: "/tmp/user_mapping_discovered.json",
+      reportPath: "/tmp/user_mapping_report.json",
+
+      // Weakest match written to the mapping: "high" (email), "medium" (display name) or "low" (login)
+      minConfidence: "medium",
+    },
+
+    // Assignees without an ADO mapping, any of:
+    //   "defaultAssignee" - assign defaultAssignee when no assignee is mapped
+    //   "tag"             - tag the work item with `tag` (removed once everyone is mapped)
+    //   "history"         - note the unmapped users in the work item history
+    //   "fail"            - stop and report the issue as failed
+    unmappedUsers: {
+      actions: ["history"],
+      defaultAssignee: null,  // ADO email
+      tag: "Unmapped Assignee",
+    },
+
+    // Assignees after the first (ADO has a single Assigned To):
+    //   "none"       - drop them
+    //   "comment"    - list them in a work item comment
+    //   "field"      - write their ADO emails to `field` (a text field, e.g. "Custom.CoAssignees")
+    //   "childTasks" - create a child work item of `childType` assigned to each of them
+    additionalAssignees: {
+      strategy: "comment",
+      field: null,
+      childType: "Task",
+    },
   },
 
   /**
@@ -241,23 +435,54 @@ module.exports = {
     logFailures: true,
     failureLogPath: "/tmp/failed_issues.json",
     
-    // Retry failed operations
+    // Retry API calls that failed for a temporary reason (throttling, 5xx, network)
+    // Waits retryDelay, doubling each attempt, or the service's Retry-After
     retryCount: 3,
     retryDelay: 2000,  // ms
+    maxRetryDelay: 60000,  // ms; a longer Retry-After fails the call instead
+
+    // ADO errors worth retrying even without a 5xx status
+    retryableAdoCodes: ["TF400733", "TF246017", "TF400898"],
+  },
+
+  /**
+   * Bulk Migration
+   */
+  migration: {
+    // Progress file written during bulk migration; MIGRATION_MODE=resume continues from it
+    // (override with MIGRATION_CHECKPOINT_FILE)
+    checkpointPath: "/tmp/migration_checkpoint.json",
+
+    // Issues migrated between checkpoint writes (the rest is written when the run ends);
+    // a run killed in between redoes the issues since the last write, which update their work items
+    checkpointInterval: 10,
+
+    // Planned operations written by TEST_MODE=true dry runs (override with DRY_RUN_PLAN_FILE)
+    dryRunPlanPath: "/tmp/dry_run_plan.json",
   },
 
   /**
    * Rate Limiting
    */
   rateLimiting: {
-    // Delay between API calls (ms)
+    // Delay between API calls (ms) in sequential loops (bulk migration is paced by budget)
     delayBetweenCalls: 500,
     
-    // Max concurrent requests
+    // Issues migrated in parallel by bulk migration
     maxConcurrent: 3,
     
-    // Batch size for bulk operations
+    // Bulk migration logs its progress every batchSize issues
     batchSize: 10,
+
+    // Requests per second shared by all bulk migration workers, per API.
+    // burst: requests that can go out at once after an idle moment.
+    // GitHub allows 5,000 REST requests and 5,000 GraphQL points per hour for a PAT
+    // (GITHUB_TOKEN: 1,000 REST requests per hour per repository)
+    budget: {
+      githubRest: { requestsPerSecond: 1.2, burst: 10 },
+      githubGraphql: { requestsPerSecond: 1, burst: 10 },
+      ado: { requestsPerSecond: 5, burst: 20 },
+    },
   },
 
   /**
@@ -289,3 +514,5 @@ module.exports = {
     warnFields: ["System.AssignedTo", "System.IterationPath"],
   }
 };
+
+module.exports = loadConfig(defaults);
@@ -0,0 +1,332 @@
+/**
+ * Configuration Loader
+ *
+ * Merges a JSON/YAML settings file (SYNC_CONFIG_FILE) and per-key environment
+ * overrides (SYNC_CONFIG__<section>__<key>) over the defaults in config.js,
+ * and validates the result against config.schema.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SCHEMA = require('./config.schema.json');
+
+// SYNC_CONFIG__features__syncMilestones=true → config.features.syncMilestones
+const ENV_OVERRIDE_PREFIX = 'SYNC_CONFIG__';
+
+// Placeholders of config.iterations.nameTemplate (see IterationCreator.resolvePath)
+const ITERATION_PLACEHOLDERS = ['name', 'number', 'n', 'year', 'quarter', 'month'];
+
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} errors - One message per problem
+   * @param {string|null} source - Settings file the problems come from
+   */
+  constructor(errors, source = null) {
+    super(`Invalid configuration${source ? ` (${source})` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Build the effective configuration
+ * @param {Object} defaults - Default settings (config.js)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Validated configuration
+ */
+function loadConfig(defaults, env = process.env) {
+  const filePath = env.SYNC_CONFIG_FILE || null;
+
+  let config = mergeConfig({}, defaults);
+
+  if (filePath) {
+    config = mergeConfig(config, readConfigFile(filePath));
+  }
+
+  config = applyEnvOverrides(config, env);
+
+  const errors = validateConfig(config, env);
+  if (errors.length > 0) {
+    throw new ConfigError(errors, filePath);
+  }
+
+  delete config.$schema;
+
+  // Pattern strings from files → RegExp
+  config.workItemTypes.patterns = config.workItemTypes.patterns.map(entry => ({
+    ...entry,
+    pattern: toRegExp(entry.pattern)
+  }));
+
+  return config;
+}
+
+/**
+ * Read a JSON or YAML settings file
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigError([`SYNC_CONFIG_FILE: file not found: ${filePath}`]);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let data;
+  try {
+    data = extension === '.yml' || extension === '.yaml' ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError([`could not parse: ${error.message}`], filePath);
+  }
+
+  if (data === undefined || data === null) return {};
+
+  if (!isPlainObject(data)) {
+    throw new ConfigError(['the file must contain an object of settings'], filePath);
+  }
+
+  return data;
+}
+
+/**
+ * Deep merge settings (objects are merged, arrays and values replaced)
+ * @returns {Object} New object, inputs are not modified
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : isPlainObject(value) ? mergeConfig({}, value) : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Apply SYNC_CONFIG__<section>__<key> environment variables
+ * Values are parsed as JSON when possible ("true", "300", "[31, 37]"), otherwise kept as strings
+ */
+function applyEnvOverrides(config, env) {
+  let result = config;
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_OVERRIDE_PREFIX)) continue;
+
+    const keys = name.substring(ENV_OVERRIDE_PREFIX.length).split('__').filter(key => key);
+    if (keys.length === 0) continue;
+
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      value = raw;
+    }
+
+    const override = keys.reduceRight((child, key) => ({ [key]: child }), value);
+    result = mergeConfig(result, override);
+
+    console.log(`⚙️  Config override from ${name}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate configuration against the schema plus the checks JSON schema can't express
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateConfig(config, env = {}) {
+  const errors = [];
+  validateValue(config, SCHEMA, 'config', errors);
+
+  // Area path for the default project (unless set in the workflow or placeholders are allowed)
+  const defaultProject = config.projects?.defaultProject;
+  const areaPaths = config.areaPaths?.defaults || {};
+
+  if (defaultProject && !areaPaths[defaultProject] && !env.ado_area_path && !config.areaPaths?.allowPlaceholder) {
+    errors.push(`config.areaPaths.defaults: missing area path for default project "${defaultProject}"`);
+  }
+
+  Object.entries(areaPaths)
+    .filter(([, areaPath]) => typeof areaPath === 'string' && areaPath.trim() === '')
+    .forEach(([project]) => errors.push(`config.areaPaths.defaults.${project}: area path is empty`));
+
+  // Settings the chosen user mapping policies depend on
+  const userMapping = config.userMapping || {};
+
+  if (userMapping.unmappedUsers?.actions?.includes('defaultAssignee') && !userMapping.unmappedUsers.defaultAssignee) {
+    errors.push('config.userMapping.unmappedUsers.defaultAssignee: required by the "defaultAssignee" action');
+  }
+  if (userMapping.additionalAssignees?.strategy === 'field' && !userMapping.additionalAssignees.field) {
+    errors.push('config.userMapping.additionalAssignees.field: required by the "field" strategy');
+  }
+
+  // Unknown placeholders would end up in the iteration names
+  const nameTemplate = config.iterations?.nameTemplate;
+
+  if (typeof nameTemplate === 'string') {
+    [...nameTemplate.matchAll(/\{(\w*)\}/g)]
+      .filter(([, key]) => !ITERATION_PLACEHOLDERS.includes(key))
+      .forEach(([placeholder]) => errors.push(
+        `config.iterations.nameTemplate: unknown placeholder ${placeholder} (use ${ITERATION_PLACEHOLDERS.map(key => `{${key}}`).join(', ')})`
+      ));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Supports type, enum, minimum/maximum, properties, additionalProperties, required, items, $ref
+ * and format "regex"
+ */
+function validateValue(value, schema, location, errors) {
+  if (schema.$ref) {
+    schema = { ...resolveRef(schema.$ref), ...schema, $ref: undefined };
+  }
+
+  if (schema.format === 'regex') {
+    const error = getRegExpError(value);
+    if (error) errors.push(`${location}: ${error}`);
+    return;
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${location}: expected ${types.join(' or ')}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${location}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${location}: must be at most ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${location}[${index}]`, errors));
+  }
+
+  if (isPlainObject(value)) {
+    (schema.required || [])
+      .filter(key => !(key in value))
+      .forEach(key => errors.push(`${location}.${key}: required`));
+
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) {
+        validateValue(child, schema.properties[key], `${location}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(schema.properties || {}));
+        errors.push(`${location}.${key}: unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateValue(child, schema.additionalProperties, `${location}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Resolve "#/definitions/<name>" in the schema
+ */
+function resolveRef(ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key], SCHEMA);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Closest known key for a misspelled one (case or one typo away)
+ */
+function suggestKey(key, knownKeys) {
+  return knownKeys.find(known => known.toLowerCase() === key.toLowerCase())
+    || knownKeys.find(known => editDistance(known.toLowerCase(), key.toLowerCase()) <= 2)
+    || null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Check a pattern setting (RegExp from config.js, string from a settings file)
+ * @returns {string|null} Error message or null if valid
+ */
+function getRegExpError(value) {
+  if (value instanceof RegExp) return null;
+
+  if (typeof value !== 'string') {
+    return `expected a regular expression string, got ${describeType(value)}`;
+  }
+
+  try {
+    toRegExp(value);
+    return null;
+  } catch (error) {
+    return `invalid regular expression ${JSON.stringify(value)} (${error.message})`;
+  }
+}
+
+/**
+ * Convert a pattern setting to a RegExp
+ * "/^\[Bug\]/i" keeps its flags, a plain source is matched case-insensitively
+ */
+function toRegExp(value) {
+  if (value instanceof RegExp) return value;
+
+  const literal = value.match(/^\/(.+)\/([a-z]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value, 'i');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+module.exports = {
+  loadConfig,
+  mergeConfig,
+  validateConfig,
+  ConfigError
+};
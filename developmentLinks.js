@@ -0,0 +1,255 @@
+/**
+ * Development Links Utility
+ *
+ * Finds the commits, branches and pull requests connected to a GitHub issue
+ * and turns them into ADO work item relations (GitHub artifact links or hyperlinks)
+ */
+
+const { Octokit } = require('@octokit/rest');
+const { graphql } = require('@octokit/graphql');
+const { ApiRetry } = require('./apiRetry');
+
+// ADO artifact link tools for GitHub (needs the repository id of the ADO GitHub connection)
+// Branches have no GitHub artifact type and are always added as hyperlinks
+const ARTIFACT_TYPES = {
+  commit: { tool: 'Commit', name: 'GitHub Commit' },
+  pullRequest: { tool: 'PullRequest', name: 'GitHub Pull Request' }
+};
+
+// Issue references in commit messages: "#12", "GH-12", "owner/repo#12"
+const ISSUE_REFERENCE_PATTERN = /(?:^|[^\w#/])(?:([\w.-]+)\/([\w.-]+))?(?:#|\bGH-)(\d+)\b/gi;
+
+class DevelopmentLinker {
+  /**
+   * @param {string} githubToken - GitHub token (only needed for the issue timeline)
+   * @param {Object} options - { repositoryIds: { "owner/repo": "<ADO GitHub connection repository id>" } }
+   */
+  constructor(githubToken = null, options = {}) {
+    const retry = ApiRetry.getDefault();
+    this.octokit = githubToken ? retry.wrapOctokit(new Octokit({ auth: githubToken })) : null;
+    this.graphqlWithAuth = githubToken
+      ? retry.wrapGraphql(graphql.defaults({ headers: { authorization: `token ${githubToken}` } }))
+      : null;
+
+    this.repositoryIds = {};
+    Object.entries(options.repositoryIds || {}).forEach(([repo, id]) => {
+      if (id) this.repositoryIds[repo.toLowerCase()] = id;
+    });
+  }
+
+  /**
+   * Get the ADO GitHub connection repository id for a repository
+   * @returns {string|null} Repository id, or null when artifact links aren't configured
+   */
+  getRepositoryId(owner, repo) {
+    return this.repositoryIds[`${owner}/${repo}`.toLowerCase()] || null;
+  }
+
+  /**
+   * Find issue numbers referenced in a commit message
+   * References to other repositories are ignored; AB#N is left to ADO
+   * @returns {Array<number>} Unique issue numbers
+   */
+  findIssueReferences(message, owner, repo) {
+    const numbers = [];
+
+    for (const match of (message || '').matchAll(ISSUE_REFERENCE_PATTERN)) {
+      if (match[1] && `${match[1]}/${match[2]}`.toLowerCase() !== `${owner}/${repo}`.toLowerCase()) {
+        continue;
+      }
+
+      const number = parseInt(match[3]);
+      if (!numbers.includes(number)) {
+        numbers.push(number);
+      }
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Get the issue number a branch was created for
+   * Matches GitHub's "Create a branch" names ("12-fix-login") and "feature/12-...", "issue-12", "gh-12"
+   * @returns {number|null} Issue number or null
+   */
+  getIssueNumberFromBranch(branchName) {
+    const name = (branchName || '').replace(/^refs\/heads\//, '').split('/').pop();
+    const match = name.match(/^(?:issue-|gh-)?(\d+)(?:-|$)/i);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Build a development link for a commit
+   */
+  static commitLink(owner, repo, commit) {
+    return {
+      type: 'commit',
+      id: commit.id || commit.sha,
+      url: commit.url || `https://github.com/${owner}/${repo}/commit/${commit.id || commit.sha}`,
+      title: `Commit ${(commit.id || commit.sha).substring(0, 7)}: ${(commit.message || '').split('\n')[0]}`
+    };
+  }
+
+  /**
+   * Build a development link for a branch
+   */
+  static branchLink(owner, repo, branchName) {
+    return {
+      type: 'branch',
+      id: branchName,
+      url: `https://github.com/${owner}/${repo}/tree/${branchName}`,
+      title: `Branch ${branchName}`
+    };
+  }
+
+  /**
+   * Build a development link for a pull request
+   */
+  static pullRequestLink(owner, repo, pullRequest) {
+    return {
+      type: 'pullRequest',
+      id: pullRequest.number,
+      url: pullRequest.html_url || `https://github.com/${owner}/${repo}/pull/${pullRequest.number}`,
+      title: `Pull request #${pullRequest.number}: ${pullRequest.title || ''}`
+    };
+  }
+
+  /**
+   * Collect the development links of an issue from its timeline (bulk migration)
+   * Commits come from "referenced" events, PRs from "cross-referenced" events,
+   * branches from the issue's linked branches
+   * @returns {Array<Object>} Development links
+   */
+  async getIssueLinks(owner, repo, issueNumber) {
+    if (!this.octokit) return [];
+
+    const links = [];
+
+    try {
+      const events = await this.octokit.paginate(this.octokit.issues.listEventsForTimeline, {
+        owner,
+        repo,
+        issue_number: issueNumber,
+        per_page: 100
+      });
+
+      for (const event of events) {
+        if (event.event === 'referenced' && event.commit_id) {
+          links.push(DevelopmentLinker.commitLink(owner, repo, {
+            id: event.commit_id,
+            url: `https://github.com/${owner}/${repo}/commit/${event.commit_id}`
+          }));
+        }
+
+        const source = event.event === 'cross-referenced' ? event.source?.issue : null;
+        if (source?.pull_request && source.repository?.full_name?.toLowerCase() === `${owner}/${repo}`.toLowerCase()) {
+          links.push(DevelopmentLinker.pullRequestLink(owner, repo, source));
+        }
+      }
+
+      for (const branchName of await this.getLinkedBranches(owner, repo, issueNumber)) {
+        links.push(DevelopmentLinker.branchLink(owner, repo, branchName));
+      }
+
+    } catch (error) {
+      console.error(`Error fetching development links for issue #${issueNumber}:`, error.message);
+    }
+
+    return DevelopmentLinker.unique(links);
+  }
+
+  /**
+   * Get branches created from an issue ("Development" sidebar)
+   * @returns {Array<string>} Branch names
+   */
+  async getLinkedBranches(owner, repo, issueNumber) {
+    const query = `
+      query($owner: String!, $repo: String!, $issueNumber: Int!) {
+        repository(owner: $owner, name: $repo) {
+          issue(number: $issueNumber) {
+            linkedBranches(first: 20) {
+              nodes {
+                ref {
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.graphqlWithAuth(query, { owner, repo, issueNumber });
+    const nodes = result.repository?.issue?.linkedBranches?.nodes || [];
+
+    return nodes.map(node => node.ref?.name).filter(name => name);
+  }
+
+  /**
+   * Remove duplicate links (same type and id)
+   */
+  static unique(links) {
+    const seen = new Set();
+
+    return links.filter(link => {
+      const key = `${link.type}:${link.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Build the work item relation for a development link
+   * @param {Object} link - { type, id, url, title }
+   * @param {string|null} repositoryId - ADO GitHub connection repository id
+   */
+  static buildRelation(link, repositoryId) {
+    const artifact = ARTIFACT_TYPES[link.type];
+
+    if (repositoryId && artifact) {
+      return {
+        rel: "ArtifactLink",
+        url: `vstfs:///GitHub/${artifact.tool}/${repositoryId}%2F${link.id}`,
+        attributes: {
+          name: artifact.name,
+          comment: link.title
+        }
+      };
+    }
+
+    return {
+      rel: "Hyperlink",
+      url: link.url,
+      attributes: {
+        comment: link.title
+      }
+    };
+  }
+
+  /**
+   * Build relation patches for links not yet on the work item
+   * @param {Array<Object>} links - Development links
+   * @param {Array<Object>} relations - Existing relations of the work item
+   * @param {string|null} repositoryId - ADO GitHub connection repository id
+   */
+  static buildRelationPatches(links, relations, repositoryId) {
+    const existingUrls = new Set((relations || []).map(relation => (relation.url || '').toLowerCase()));
+
+    return links
+      .map(link => DevelopmentLinker.buildRelation(link, repositoryId))
+      .filter(relation => {
+        const url = relation.url.toLowerCase();
+        if (existingUrls.has(url)) return false;
+        existingUrls.add(url);
+        return true;
+      })
+      .map(relation => ({
+        op: "add",
+        path: "/relations/-",
+        value: relation
+      }));
+  }
+}
+
+module.exports = DevelopmentLinker;
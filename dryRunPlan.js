@@ -0,0 +1,131 @@
+/**
+ * Dry Run Plan Utility
+ *
+ * Collects the write calls a migration would make (TEST_MODE=true) instead of
+ * sending them, grouped per issue, and writes the aggregated plan to a file
+ */
+
+const fs = require('fs');
+
+class DryRunPlan {
+  constructor(planPath = null) {
+    this.planPath = planPath;
+    this.issues = [];
+    this.entriesByEnv = new WeakMap();
+    this.placeholderCount = 0;
+  }
+
+  /**
+   * Start collecting operations for an issue
+   * Operations are attributed through the issue's env object (vm.env)
+   * @param {Object} vm - Issue view model
+   */
+  startIssue(vm) {
+    const entry = {
+      number: vm.number,
+      title: vm.title,
+      url: vm.url,
+      operations: []
+    };
+
+    this.issues.push(entry);
+    this.entriesByEnv.set(vm.env, entry);
+    return entry;
+  }
+
+  /**
+   * Attribute the operations recorded with another env object to an issue,
+   * e.g. a copy of vm.env or one rebuilt in a later pass
+   * Joins the issue's entry when it has one (looked up by vm.env, then by number)
+   * @param {Object} env - Env object passed to record()
+   * @param {Object} vm - Issue view model the operations belong to
+   */
+  attachEnv(env, vm) {
+    const entry = this.entriesByEnv.get(vm.env)
+      || this.issues.find(issue => issue.number === vm.number)
+      || { number: vm.number, title: vm.title || null, url: vm.url || null, operations: [] };
+
+    if (!this.issues.includes(entry)) this.issues.push(entry);
+    this.entriesByEnv.set(env, entry);
+    return entry;
+  }
+
+  /**
+   * Record an operation that would have been sent
+   * @param {Object} env - Issue env object (vm.env)
+   * @param {Object} operation - { target: "ado"|"github", action, ... }
+   */
+  record(env, operation) {
+    let entry = this.entriesByEnv.get(env);
+
+    if (!entry) {
+      entry = { number: null, title: null, url: null, operations: [] };
+      this.issues.push(entry);
+      this.entriesByEnv.set(env, entry);
+    }
+
+    entry.operations.push(operation);
+  }
+
+  /**
+   * Placeholder work item for a create that didn't happen
+   * Fields are taken from the patch document so later steps can read them
+   */
+  createPlaceholderWorkItem(patchDocument, type) {
+    const fields = { "System.WorkItemType": type };
+
+    patchDocument
+      .filter(patch => patch.path.startsWith('/fields/'))
+      .forEach(patch => {
+        fields[patch.path.substring('/fields/'.length)] = patch.value;
+      });
+
+    this.placeholderCount++;
+    return { id: `DRY-RUN-${this.placeholderCount}`, fields, relations: [] };
+  }
+
+  /**
+   * Log the planned operations for an issue
+   */
+  logIssue(vm) {
+    const entry = this.entriesByEnv.get(vm.env);
+    if (!entry) return;
+
+    console.log(`🧪 Dry run plan for issue #${entry.number}: ${entry.operations.length} operation(s)`);
+    console.log(JSON.stringify(entry.operations, null, 2));
+  }
+
+  /**
+   * Get plan statistics
+   */
+  getStats() {
+    const operations = this.issues.flatMap(entry => entry.operations);
+
+    return {
+      issues: this.issues.length,
+      operations: operations.length,
+      creates: operations.filter(op => op.action === 'createWorkItem').length,
+      updates: operations.filter(op => op.action === 'updateWorkItem').length,
+      githubWrites: operations.filter(op => op.target === 'github').length
+    };
+  }
+
+  /**
+   * Write the aggregated plan file
+   */
+  save() {
+    if (!this.planPath) return;
+
+    const data = {
+      version: "1.0",
+      generatedAt: new Date().toISOString(),
+      stats: this.getStats(),
+      issues: this.issues
+    };
+
+    fs.writeFileSync(this.planPath, JSON.stringify(data, null, 2));
+    console.log(`📄 Dry run plan written to: ${this.planPath}`);
+  }
+}
+
+module.exports = DryRunPlan;
@@ -6,95 +6,237 @@
  */
 
 const { graphql } = require('@octokit/graphql');
+const { ApiRetry } = require('./apiRetry');
+
+// Common names of the status (column) field
+const STATUS_FIELDS = ['Status', 'State', 'Column'];
+
+// Field values of a project item (single select, text, date, number, iteration)
+const FIELD_VALUES_FRAGMENT = `
+  fragment FieldValues on ProjectV2ItemFieldValueConnection {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    nodes {
+      ... on ProjectV2ItemFieldSingleSelectValue {
+        name
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldTextValue {
+        text
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldDateValue {
+        date
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldNumberValue {
+        number
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldIterationValue {
+        title
+        startDate
+        duration
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+    }
+  }
+`;
 
 class GitHubProjectsClient {
-  constructor(githubToken) {
-    this.graphqlWithAuth = graphql.defaults({
+  /**
+   * @param {string} githubToken - GitHub token (project read scope)
+   * @param {Array<number>} projectIds - Project numbers in priority order (config.projects.projectIds);
+   *   an issue in several projects gets the first one listed, issues only in other projects get none.
+   *   Empty: every project counts, the lowest project number first
+   */
+  constructor(githubToken, projectIds = []) {
+    this.projectIds = projectIds;
+    this.graphqlWithAuth = ApiRetry.getDefault().wrapGraphql(graphql.defaults({
       headers: {
         authorization: `token ${githubToken}`,
       },
-    });
+    }));
+
+    // "owner/repo#number" → project items, once loadProjectItems() ran
+    this.projectIndex = null;
+  }
+
+  /**
+   * Load every item of the given projects (with their field values) into an index,
+   * so getIssueProjectInfo() is answered without a query per issue
+   * On error, or when a project isn't found, the index is dropped and issues are queried one by one again
+   * @param {string} owner - Organization or user owning the projects
+   * @param {Array<number>} projectNumbers - Project numbers (config.projects.projectIds)
+   * @returns {number} Issues in the index
+   */
+  async loadProjectItems(owner, projectNumbers) {
+    const query = `
+      query($owner: String!, $projectNumber: Int!, $cursor: String) {
+        repositoryOwner(login: $owner) {
+          ... on ProjectV2Owner {
+            projectV2(number: $projectNumber) {
+              title
+              number
+              items(first: 100, after: $cursor) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                nodes {
+                  id
+                  content {
+                    ... on Issue {
+                      number
+                      repository {
+                        nameWithOwner
+                      }
+                    }
+                  }
+                  fieldValues(first: 50) {
+                    ...FieldValues
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+      ${FIELD_VALUES_FRAGMENT}
+    `;
+
+    const index = new Map();
+
+    try {
+      for (const projectNumber of projectNumbers) {
+        let cursor = null;
+        let itemCount = 0;
+        let project = null;
+
+        do {
+          const result = await this.graphqlWithAuth(query, { owner, projectNumber, cursor });
+          project = result?.repositoryOwner?.projectV2;
+
+          // An index without this project would drop its issues, so query them one by one
+          if (!project) {
+            console.log(`⚠️  GitHub project #${projectNumber} not found for ${owner}, falling back to one query per issue`);
+            this.projectIndex = null;
+            return 0;
+          }
+
+          // Draft issues and pull requests have no issue content
+          const issueItems = project.items.nodes.filter(item => item.content?.number && item.content.repository);
+          await this.completeFieldValues(issueItems);
+
+          issueItems.forEach(item => {
+            const key = getIssueKey(item.content.repository.nameWithOwner, item.content.number);
+            if (!index.has(key)) index.set(key, []);
+
+            index.get(key).push({
+              id: item.id,
+              project: { title: project.title, number: project.number },
+              fieldValues: item.fieldValues
+            });
+            itemCount++;
+          });
+
+          cursor = project.items.pageInfo.hasNextPage ? project.items.pageInfo.endCursor : null;
+        } while (cursor);
+
+        console.log(`📋 Loaded ${itemCount} issue items of GitHub project "${project.title}" (#${projectNumber})`);
+      }
+    } catch (error) {
+      console.error('Error loading project items, falling back to one query per issue:', error.message);
+      this.projectIndex = null;
+      return 0;
+    }
+
+    this.projectIndex = index;
+    return index.size;
   }
 
   /**
    * Get project information for an issue
+   * Taken from the index when loadProjectItems() ran (issues in none of its projects get null)
    * @param {string} org - Organization name
    * @param {number} issueNumber - Issue number
    * @param {string} repo - Repository name
-   * @returns {Object} Project information
+   * @returns {Object} Project information of the selected project, with every membership in `projects`
    */
   async getIssueProjectInfo(org, repo, issueNumber) {
+    if (this.projectIndex) {
+      return this.parseProjectItems(this.projectIndex.get(getIssueKey(`${org}/${repo}`, issueNumber)) || []);
+    }
+
     try {
       const query = `
-        query($org: String!, $repo: String!, $issueNumber: Int!) {
+        query($org: String!, $repo: String!, $issueNumber: Int!, $cursor: String) {
           repository(owner: $org, name: $repo) {
             issue(number: $issueNumber) {
-              projectItems(first: 10) {
+              projectItems(first: 20, after: $cursor) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
                 nodes {
+                  id
                   project {
                     title
                     number
                   }
-                  fieldValues(first: 20) {
-                    nodes {
-                      ... on ProjectV2ItemFieldSingleSelectValue {
-                        name
-                        field {
-                          ... on ProjectV2FieldCommon {
-                            name
-                          }
-                        }
-                      }
-                      ... on ProjectV2ItemFieldTextValue {
-                        text
-                        field {
-                          ... on ProjectV2FieldCommon {
-                            name
-                          }
-                        }
-                      }
-                      ... on ProjectV2ItemFieldDateValue {
-                        date
-                        field {
-                          ... on ProjectV2FieldCommon {
-                            name
-                          }
-                        }
-                      }
-                      ... on ProjectV2ItemFieldNumberValue {
-                        number
-                        field {
-                          ... on ProjectV2FieldCommon {
-                            name
-                          }
-                        }
-                      }
-                      ... on ProjectV2ItemFieldIterationValue {
-                        title
-                        startDate
-                        duration
-                        field {
-                          ... on ProjectV2FieldCommon {
-                            name
-                          }
-                        }
-                      }
-                    }
+                  fieldValues(first: 50) {
+                    ...FieldValues
                   }
                 }
               }
             }
           }
         }
+        ${FIELD_VALUES_FRAGMENT}
       `;
 
-      const result = await this.graphqlWithAuth(query, {
-        org,
-        repo,
-        issueNumber,
-      });
+      const projectItems = [];
+      let cursor = null;
 
-      return this.parseProjectInfo(result);
+      do {
+        const result = await this.graphqlWithAuth(query, {
+          org,
+          repo,
+          issueNumber,
+          cursor,
+        });
+
+        const page = result?.repository?.issue?.projectItems;
+        if (!page) break;
+
+        projectItems.push(...page.nodes);
+        cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+      } while (cursor);
+
+      await this.completeFieldValues(projectItems);
+      return this.parseProjectItems(projectItems);
     } catch (error) {
       console.error(`Error fetching project info for issue #${issueNumber}:`, error.message);
       return null;
@@ -102,26 +244,76 @@ class GitHubProjectsClient {
   }
 
   /**
-   * Parse project information from GraphQL response
+   * Fetch the field values past the first page of each project item (added to the items)
+   * @param {Array<Object>} projectItems - Items with id and fieldValues { pageInfo, nodes }
    */
-  parseProjectInfo(result) {
-    const projectItems = result?.repository?.issue?.projectItems?.nodes || [];
-    
-    if (projectItems.length === 0) {
+  async completeFieldValues(projectItems) {
+    const query = `
+      query($itemId: ID!, $cursor: String) {
+        node(id: $itemId) {
+          ... on ProjectV2Item {
+            fieldValues(first: 100, after: $cursor) {
+              ...FieldValues
+            }
+          }
+        }
+      }
+      ${FIELD_VALUES_FRAGMENT}
+    `;
+
+    for (const item of projectItems) {
+      let pageInfo = item.fieldValues?.pageInfo;
+
+      while (pageInfo?.hasNextPage) {
+        const result = await this.graphqlWithAuth(query, { itemId: item.id, cursor: pageInfo.endCursor });
+        const fieldValues = result?.node?.fieldValues;
+        if (!fieldValues) break;
+
+        item.fieldValues.nodes.push(...fieldValues.nodes);
+        pageInfo = fieldValues.pageInfo;
+      }
+    }
+  }
+
+  /**
+   * Parse the project items of an issue ({ project, fieldValues }) and select its project
+   * Memberships are ordered by priority (projectIds order, then project number); the first
+   * one is the selected project
+   * @returns {Object|null} { projectName, projectNumber, fields, projects: [{ projectName, projectNumber, fields }] }
+   */
+  parseProjectItems(projectItems) {
+    const projects = projectItems
+      .map(item => ({
+        projectName: item.project.title,
+        projectNumber: item.project.number,
+        fields: this.parseFieldValues(item.fieldValues?.nodes || [])
+      }))
+      .sort((a, b) => (this.getPriority(a.projectNumber) - this.getPriority(b.projectNumber)) || a.projectNumber - b.projectNumber);
+
+    const selected = projects[0];
+
+    if (!selected || (this.projectIds.length > 0 && !this.projectIds.includes(selected.projectNumber))) {
       return null;
     }
 
-    // Get first project (issue can be in multiple projects)
-    const projectItem = projectItems[0];
-    const projectInfo = {
-      projectName: projectItem.project.title,
-      projectNumber: projectItem.project.number,
-      fields: {}
-    };
+    return { ...selected, projects };
+  }
+
+  /**
+   * Position of a project in projectIds (unlisted projects last)
+   */
+  getPriority(projectNumber) {
+    const index = this.projectIds.indexOf(projectNumber);
+    return index === -1 ? this.projectIds.length : index;
+  }
+
+  /**
+   * Parse the field values of a project item
+   * @returns {Object} { field name: value }
+   */
+  parseFieldValues(fieldValues) {
+    const fields = {};
 
-    // Parse field values
-    const fieldValues = projectItem.fieldValues?.nodes || [];
-    
     for (const fieldValue of fieldValues) {
       const fieldName = fieldValue.field?.name;
       
@@ -130,19 +322,19 @@ class GitHubProjectsClient {
       // Extract value based on type
       if (fieldValue.name) {
         // SingleSelect (like Status)
-        projectInfo.fields[fieldName] = fieldValue.name;
+        fields[fieldName] = fieldValue.name;
       } else if (fieldValue.text) {
         // Text field
-        projectInfo.fields[fieldName] = fieldValue.text;
+        fields[fieldName] = fieldValue.text;
       } else if (fieldValue.date) {
         // Date field
-        projectInfo.fields[fieldName] = fieldValue.date;
+        fields[fieldName] = fieldValue.date;
       } else if (fieldValue.number !== undefined) {
         // Number field
-        projectInfo.fields[fieldName] = fieldValue.number;
+        fields[fieldName] = fieldValue.number;
       } else if (fieldValue.title) {
         // Iteration field
-        projectInfo.fields[fieldName] = {
+        fields[fieldName] = {
           title: fieldValue.title,
           startDate: fieldValue.startDate,
           duration: fieldValue.duration
@@ -150,7 +342,7 @@ class GitHubProjectsClient {
       }
     }
 
-    return projectInfo;
+    return fields;
   }
 
   /**
@@ -163,9 +355,7 @@ class GitHubProjectsClient {
     }
 
     // Try common field names
-    const statusFields = ['Status', 'State', 'Column'];
-    
-    for (const fieldName of statusFields) {
+    for (const fieldName of STATUS_FIELDS) {
       if (projectInfo.fields[fieldName]) {
         return projectInfo.fields[fieldName];
       }
@@ -274,6 +464,13 @@ class GitHubProjectsClient {
   async batchGetProjectInfo(org, repo, issueNumbers) {
     const results = new Map();
 
+    if (this.projectIndex) {
+      for (const issueNumber of issueNumbers) {
+        results.set(issueNumber, await this.getIssueProjectInfo(org, repo, issueNumber));
+      }
+      return results;
+    }
+
     // Process in batches to avoid rate limits
     const batchSize = 10;
     for (let i = 0; i < issueNumbers.length; i += batchSize) {
@@ -305,6 +502,51 @@ class GitHubProjectsClient {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Resolve the issue and project of a project item (projects_v2_item webhook payload)
+   * @param {string} contentNodeId - projects_v2_item.content_node_id
+   * @param {string} projectNodeId - projects_v2_item.project_node_id
+   * @returns {Object|null} { owner, repo, number, projectNumber, projectName }, null if the item is not an issue
+   */
+  async getProjectItemIssue(contentNodeId, projectNodeId) {
+    const query = `
+      query($contentId: ID!, $projectId: ID!) {
+        content: node(id: $contentId) {
+          ... on Issue {
+            number
+            repository {
+              name
+              owner {
+                login
+              }
+            }
+          }
+        }
+        project: node(id: $projectId) {
+          ... on ProjectV2 {
+            title
+            number
+          }
+        }
+      }
+    `;
+
+    const result = await this.graphqlWithAuth(query, { contentId: contentNodeId, projectId: projectNodeId });
+    const issue = result?.content;
+
+    if (!issue?.number) {
+      return null;
+    }
+
+    return {
+      owner: issue.repository.owner.login,
+      repo: issue.repository.name,
+      number: issue.number,
+      projectNumber: result.project?.number ?? null,
+      projectName: result.project?.title ?? null
+    };
+  }
+
   /**
    * Get all projects for an organization
    */
@@ -332,6 +574,61 @@ class GitHubProjectsClient {
     }
   }
 
+  /**
+   * Get the options of a project's status field
+   * @param {string} owner - Organization or user owning the project
+   * @param {number} projectNumber - Project number
+   * @returns {Object|null} { title, number, field, options: [option names] } or null if not found
+   */
+  async getProjectStatusOptions(owner, projectNumber) {
+    try {
+      const query = `
+        query($owner: String!, $projectNumber: Int!) {
+          repositoryOwner(login: $owner) {
+            ... on ProjectV2Owner {
+              projectV2(number: $projectNumber) {
+                title
+                number
+                fields(first: 50) {
+                  nodes {
+                    ... on ProjectV2SingleSelectField {
+                      name
+                      options {
+                        name
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const result = await this.graphqlWithAuth(query, { owner, projectNumber });
+      const project = result?.repositoryOwner?.projectV2;
+
+      if (!project) {
+        return null;
+      }
+
+      const fields = (project.fields?.nodes || []).filter(field => field.options);
+      const statusField = STATUS_FIELDS
+        .map(fieldName => fields.find(field => field.name === fieldName))
+        .find(field => field);
+
+      return {
+        title: project.title,
+        number: project.number,
+        field: statusField?.name || null,
+        options: (statusField?.options || []).map(option => option.name)
+      };
+    } catch (error) {
+      console.error(`Error fetching status options of project #${projectNumber}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Log project info (for debugging)
    */
@@ -343,9 +640,19 @@ class GitHubProjectsClient {
       for (const [name, value] of Object.entries(projectInfo.fields)) {
         console.log(`  ${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
       }
+      if (projectInfo.projects?.length > 1) {
+        console.log(`Also in: ${projectInfo.projects.slice(1).map(project => `${project.projectName} (#${project.projectNumber})`).join(', ')}`);
+      }
       console.log("===================");
     }
   }
 }
 
+/**
+ * Index key of an issue ("Owner/Repo" and "owner/repo" are the same repository)
+ */
+function getIssueKey(nameWithOwner, issueNumber) {
+  return `${nameWithOwner.toLowerCase()}#${issueNumber}`;
+}
+
 module.exports = GitHubProjectsClient;
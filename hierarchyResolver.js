@@ -0,0 +1,189 @@
+/**
+ * Issue Hierarchy Utility
+ *
+ * Resolves GitHub issue relationships (sub-issues, task lists, dependencies, duplicates)
+ * and keeps parent links that can't be made yet for a later pass
+ */
+
+const { graphql } = require('@octokit/graphql');
+const { ApiRetry } = require('./apiRetry');
+
+// Task list items referencing an issue: "- [ ] #12", "* [x] owner/repo#12", "- [ ] https://github.com/owner/repo/issues/12"
+const TASK_LIST_PATTERN = /^\s*[-*+]\s+\[[ xX]\]\s+(?:#(\d+)|([\w.-]+)\/([\w.-]+)#(\d+)|https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/issues\/(\d+))\b/gm;
+
+class HierarchyResolver {
+  /**
+   * @param {string} githubToken - GitHub token (for the sub-issues and dependencies API)
+   */
+  constructor(githubToken = null) {
+    this.graphqlWithAuth = githubToken
+      ? ApiRetry.getDefault().wrapGraphql(graphql.defaults({
+          headers: {
+            authorization: `token ${githubToken}`,
+            'GraphQL-Features': 'sub_issues,issue_dependencies',
+          },
+        }))
+      : null;
+
+    // Child key → { child, parent, source } for links whose work items don't exist yet
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the relationships of an issue
+   * @returns {Object|null} { parent, children, blockedBy, blocking, duplicateOf } with issue refs
+   *   ({ owner, repo, number }), or null if they couldn't be fetched
+   */
+  async getIssueRelations(owner, repo, issueNumber) {
+    if (!this.graphqlWithAuth) return null;
+
+    try {
+      const query = `
+        query($owner: String!, $repo: String!, $issueNumber: Int!) {
+          repository(owner: $owner, name: $repo) {
+            issue(number: $issueNumber) {
+              parent {
+                ...IssueRef
+              }
+              subIssues(first: 50) {
+                nodes {
+                  ...IssueRef
+                }
+              }
+              blockedBy(first: 50) {
+                nodes {
+                  ...IssueRef
+                }
+              }
+              blocking(first: 50) {
+                nodes {
+                  ...IssueRef
+                }
+              }
+              timelineItems(itemTypes: [MARKED_AS_DUPLICATE_EVENT, UNMARKED_AS_DUPLICATE_EVENT], last: 20) {
+                nodes {
+                  __typename
+                  ... on MarkedAsDuplicateEvent {
+                    canonical {
+                      ... on Issue {
+                        ...IssueRef
+                      }
+                    }
+                  }
+                  ... on UnmarkedAsDuplicateEvent {
+                    canonical {
+                      ... on Issue {
+                        ...IssueRef
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+
+        fragment IssueRef on Issue {
+          number
+          repository {
+            name
+            owner {
+              login
+            }
+          }
+        }
+      `;
+
+      const result = await this.graphqlWithAuth(query, { owner, repo, issueNumber });
+      const issue = result.repository?.issue;
+      const toRef = node => ({
+        owner: node.repository.owner.login,
+        repo: node.repository.name,
+        number: node.number
+      });
+
+      // Last duplicate event wins ("unmarked" clears it)
+      let duplicateOf = null;
+      for (const event of issue?.timelineItems?.nodes || []) {
+        if (!event.canonical?.repository) continue;
+
+        if (event.__typename === 'MarkedAsDuplicateEvent') {
+          duplicateOf = toRef(event.canonical);
+        } else if (duplicateOf && HierarchyResolver.sameIssue(duplicateOf, toRef(event.canonical))) {
+          duplicateOf = null;
+        }
+      }
+
+      return {
+        parent: issue?.parent ? toRef(issue.parent) : null,
+        children: (issue?.subIssues?.nodes || []).map(toRef),
+        blockedBy: (issue?.blockedBy?.nodes || []).map(toRef),
+        blocking: (issue?.blocking?.nodes || []).map(toRef),
+        duplicateOf
+      };
+
+    } catch (error) {
+      console.error(`Error fetching relationships of issue #${issueNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find child issues listed in a task list
+   * @param {string} body - Issue body (markdown)
+   * @returns {Array<Object>} [{ owner, repo, number }] in order of appearance
+   */
+  findTaskListChildren(body, owner, repo) {
+    const children = [];
+
+    for (const match of (body || '').matchAll(TASK_LIST_PATTERN)) {
+      const child = {
+        owner: match[2] || match[5] || owner,
+        repo: match[3] || match[6] || repo,
+        number: parseInt(match[1] || match[4] || match[7])
+      };
+
+      if (!children.some(existing => HierarchyResolver.sameIssue(existing, child))) {
+        children.push(child);
+      }
+    }
+
+    return children;
+  }
+
+  /**
+   * Compare two issue references
+   */
+  static sameIssue(a, b) {
+    return a.owner.toLowerCase() === b.owner.toLowerCase()
+      && a.repo.toLowerCase() === b.repo.toLowerCase()
+      && Number(a.number) === Number(b.number);
+  }
+
+  /**
+   * Keep a link for the second pass (parent or child has no work item yet)
+   * @param {Object} child - { owner, repo, number }
+   * @param {Object} parent - { owner, repo, number }
+   * @param {string} source - "sub-issue" or "task-list"
+   */
+  defer(child, parent, source) {
+    const key = `${child.owner}/${child.repo}#${child.number}`.toLowerCase();
+
+    // Sub-issue parents win over task lists
+    if (this.pending.has(key) && this.pending.get(key).source === 'sub-issue') return;
+
+    this.pending.set(key, { child, parent, source });
+  }
+
+  /**
+   * Take all deferred links
+   * @returns {Array<Object>} [{ child, parent, source }]
+   */
+  takePending() {
+    const pending = Array.from(this.pending.values());
+    this.pending.clear();
+    return pending;
+  }
+}
+
+module.exports = HierarchyResolver;
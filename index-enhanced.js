@@ -27,12 +27,55 @@ const { Octokit } = require('@octokit/rest');
 const config = require('./config');
 const StateMapper = require('./stateMapper');
 const UserMapper = require('./userMapper');
+const UserDiscovery = require('./userDiscovery');
 const GitHubProjectsClient = require('./githubProjects');
 const IterationCreator = require('./iterationCreator');
+const WorkItemStore = require('./workItemStore');
+const MigrationCheckpoint = require('./migrationCheckpoint');
+const DryRunPlan = require('./dryRunPlan');
+const AttachmentMigrator = require('./attachmentMigrator');
+const DevelopmentLinker = require('./developmentLinks');
+const HierarchyResolver = require('./hierarchyResolver');
+const MappingDoctor = require('./mappingDoctor');
+const WorkItemTypeDetector = require('./workItemTypeDetector');
+const { ApiRetry, ApiError } = require('./apiRetry');
+const RateBudget = require('./rateBudget');
+const WorkerPool = require('./workerPool');
 
 // === DEBUG MODE ===
 const debug = true; // Set to false before production deployment
 
+// === SHARED STATE ===
+// GitHub issue ↔ ADO work item identity mapping (initialized in main)
+let workItemStore = null;
+
+// GitHub Projects client (set when project status sync is enabled)
+let projectsClient = null;
+
+// Planned write operations when TEST_MODE is on (null = writes are sent)
+let dryRunPlan = null;
+
+// Copies GitHub-hosted images/files to ADO attachments (created on first use)
+let attachmentMigrator = null;
+
+// Sub-issue / task list parents (set when hierarchy sync is enabled)
+let hierarchyResolver = null;
+
+// Work item hyperlinks read by find(), per repository ("repo" → { urls: GitHub URL → work item id, lastId, scanning })
+const hyperlinkIndexes = new Map();
+
+// Work items per WIQL page of the hyperlink scan (WIQL stops at 20000 results)
+const HYPERLINK_SCAN_PAGE = 1000;
+
+// Iteration paths of each repository's milestones ("owner/repo" → Set), see isMilestoneIteration
+const milestoneIterationPaths = new Map();
+
+// Work item type rules (config.workItemTypes)
+const typeDetector = new WorkItemTypeDetector(config.workItemTypes);
+
+// Retries throttled and failed API calls (config.errorHandling)
+const apiRetry = ApiRetry.getDefault();
+
 // === MAIN ENTRY POINT ===
 main();
 
@@ -50,17 +93,55 @@ async function main() {
     // === INITIALIZATION ===
     console.log('🚀 Starting GitHub to Azure DevOps migration...');
     
+    workItemStore = initializeWorkItemStore(env);
+
+    if (config.features.syncHierarchy && config.hierarchy.enabled) {
+      hierarchyResolver = new HierarchyResolver(env.github_token);
+    }
+
+    if (env.TEST_MODE === 'true') {
+      console.log('🧪 Test mode: dry run, no changes will be written to Azure DevOps or GitHub');
+      dryRunPlan = new DryRunPlan(env.DRY_RUN_PLAN_FILE || config.migration.dryRunPlanPath);
+    }
+
     // Determine if this is a bulk migration or single event
     const isBulkMigration = env.MIGRATION_MODE && env.MIGRATION_MODE !== 'single';
+
+    // Org-level projects_v2_item webhooks reach the workflow relayed as repository_dispatch
+    const projectItemPayload = context.eventName === 'projects_v2_item' ? context.payload
+      : context.eventName === 'repository_dispatch' && context.payload.action === 'projects_v2_item' ? context.payload.client_payload
+      : null;
     
-    if (isBulkMigration) {
+    if (env.MIGRATION_MODE === 'backfill_identity') {
+      console.log('🧭 Identity backfill mode');
+      await handleIdentityBackfill(env);
+    } else if (env.MIGRATION_MODE === 'doctor') {
+      console.log('🩺 Mapping check mode');
+      await handleDoctor(env);
+    } else if (env.MIGRATION_MODE === 'discover_users') {
+      console.log('👥 User mapping discovery mode');
+      await handleUserDiscovery(env);
+    } else if (isBulkMigration) {
       console.log(`📦 Bulk migration mode: ${env.MIGRATION_MODE}`);
       await handleBulkMigration(env);
+    } else if (projectItemPayload) {
+      console.log('📋 Project item sync mode');
+      await handleProjectItemEvent(projectItemPayload, env);
+    } else if (context.payload.pull_request) {
+      console.log('🔀 Pull request sync mode');
+      await handlePullRequest(context, env);
+    } else if (context.eventName === 'push' || context.eventName === 'create') {
+      console.log('🌿 Development link sync mode');
+      await handleDevelopmentEvent(context, env);
     } else {
       console.log('📝 Single issue sync mode');
       await handleSingleIssue(context, env);
     }
 
+    if (dryRunPlan) {
+      dryRunPlan.save();
+    }
+
     console.log('✅ Migration completed successfully');
 
   } catch (error) {
@@ -81,6 +162,7 @@ async function handleSingleIssue(context, env) {
   
   // Get values from payload
   let vm = getValuesFromPayload(context.payload, env);
+  if (dryRunPlan) dryRunPlan.startIssue(vm);
 
   // Skip if sender is azure-boards bot (avoid infinite loops)
   if (vm.sender_login === "azure-boards[bot]") {
@@ -88,10 +170,15 @@ async function handleSingleIssue(context, env) {
     return;
   }
 
+  // Issues closed, reopened or relabeled by the ADO → GitHub receiver
+  if (isSyncIdentity(vm.sender_login, env)) {
+    console.log(`🤖 Sync identity ${vm.sender_login} detected, exiting to avoid loop`);
+    return;
+  }
+
   // Initialize GitHub Projects client if enabled
-  let projectsClient = null;
   if (config.features.syncProjectStatus && env.github_token) {
-    projectsClient = new GitHubProjectsClient(env.github_token);
+    projectsClient = new GitHubProjectsClient(env.github_token, config.projects.projectIds);
     console.log(` projectsClient: ${JSON.stringify(projectsClient)}`);
   }
 
@@ -109,7 +196,7 @@ async function handleSingleIssue(context, env) {
   projectsClient.logProjectInfo(projectInfo, config.logging.level);  
     
     if (projectInfo) {
-      console.log(`📊 Found project info: ${projectInfo.projectName}`);
+      console.log(`📊 Found project info: ${projectInfo.projectName}${projectInfo.projects.length > 1 ? ` (${projectInfo.projects.length} projects, by projectIds priority)` : ''}`);
       if (config.logging.level >= 300) {
         projectsClient.logProjectInfo(projectInfo, config.logging.level);
       }
@@ -132,10 +219,12 @@ async function handleSingleIssue(context, env) {
     console.log('➕ No work item found, creating new one...');
     
     // Determine work item type
-    const workItemType = stateMapper.getWorkItemType(vm.title, vm.labels || []);
-    vm.env.wit = workItemType;
-    
-    console.log(`📋 Work item type: ${workItemType}`);
+    vm.env.wit = detectWorkItemType(vm, projectInfo).type;
+
+    // Existing discussion (issue created before the sync was set up)
+    if (config.features.syncComments && vm.comment_count > 0) {
+      vm.comments = await fetchIssueComments(vm);
+    }
 
     // Create the work item with full metadata
     workItem = await createWorkItem(vm, projectInfo, stateMapper, userMapper);
@@ -161,6 +250,13 @@ async function handleSingleIssue(context, env) {
     await handleAction(vm, workItem, projectInfo, stateMapper, userMapper);
   }
 
+  // === HIERARCHY (SUB-ISSUES / TASK LISTS) ===
+  if (!vm.comment_id) {
+    await syncHierarchy(vm, workItem);
+  }
+
+  if (dryRunPlan) dryRunPlan.logIssue(vm);
+
   // Final log
   if (workItem) {
     console.log(`✅ Work item ${workItem.id} processed successfully`);
@@ -168,392 +264,2443 @@ async function handleSingleIssue(context, env) {
 }
 
 /**
- * Handle bulk migration
- * Fetches all issues from repository and syncs them
+ * Check if a GitHub sender is one of the identities the reverse sync writes as
+ * (config.reverseSync.adoSyncIdentities, ado_sync_identity)
  */
-async function handleBulkMigration(env) {
-  console.log('📦 Starting bulk migration...');
-
-  if (!env.github_token) {
-    throw new Error('GitHub token required for bulk migration');
-  }
+function isSyncIdentity(login, env) {
+  if (!login) return false;
 
-  // Initialize Octokit
-  const octokit = new Octokit({ auth: env.github_token });
+  const identities = [...config.reverseSync.adoSyncIdentities, env.ado_sync_identity]
+    .filter(Boolean)
+    .map(identity => identity.toLowerCase());
 
-  // Parse repository info from environment or config
-  const owner = env.GITHUB_REPOSITORY_OWNER || env.ado_organization;
-  const repo = env.GITHUB_REPOSITORY_NAME || env.ado_project;
+  return identities.includes(login.toLowerCase());
+}
 
-  if (!owner || !repo) {
-    throw new Error('Repository owner and name required. Set GITHUB_REPOSITORY_OWNER and GITHUB_REPOSITORY_NAME');
+/**
+ * Handle pull request sync (event-driven)
+ * PRs become work items of config.pullRequests.workItemType, linked to the issues they close
+ */
+async function handlePullRequest(context, env) {
+  if (!config.features.syncPullRequests || !config.pullRequests.enabled) {
+    console.log('ℹ️  Pull request sync is disabled, skipping');
+    return;
   }
 
-  console.log(`📂 Repository: ${owner}/${repo}`);
+  const stateMapper = initializeStateMapper(env);
+  const userMapper = initializeUserMapper(env);
 
-  // Determine which issues to fetch based on mode
-  const mode = env.MIGRATION_MODE || 'bulk_all';
-  let state = 'all';
-  
-  if (mode === 'bulk_open') {
-    state = 'open';
-  } else if (mode === 'bulk_closed') {
-    state = 'closed';
+  let vm = getValuesFromPullRequestPayload(context.payload, env);
+  if (dryRunPlan) dryRunPlan.startIssue(vm);
+
+  // Skip if sender is azure-boards bot (avoid infinite loops)
+  if (vm.sender_login === "azure-boards[bot]") {
+    console.log('🤖 azure-boards[bot] sender detected, exiting to avoid loop');
+    return;
   }
 
-  console.log(`📋 Fetching ${state} issues...`);
+  // Link only (createWorkItems: false): the PR shows up on the issues' work items
+  const linkOnIssues = config.features.syncDevelopmentLinks || !config.pullRequests.createWorkItems;
 
-  // Fetch all issues (paginated)
-  const issues = [];
-  let page = 1;
-  const perPage = 100;
+  // === RESOLVE LINKED ISSUES ("Fixes #N") ===
+  const issueWorkItemIds = config.pullRequests.linkToParentIssue || linkOnIssues
+    ? await resolveLinkedIssueWorkItems(vm)
+    : [];
 
-  try {
-    while (true) {
-      const response = await octokit.issues.listForRepo({
-        owner,
-        repo,
-        state,
-        per_page: perPage,
-        page,
-      });
+  if (linkOnIssues) {
+    const developmentLinker = initializeDevelopmentLinker(env, vm.repo_fullname);
+    for (const workItemId of issueWorkItemIds) {
+      await linkPullRequestToWorkItem(vm, workItemId, developmentLinker);
+    }
+  }
 
-      if (response.data.length === 0) break;
+  if (!config.pullRequests.createWorkItems) {
+    if (dryRunPlan) dryRunPlan.logIssue(vm);
+    return;
+  }
 
-      // Filter out pull requests (they have pull_request property)
-      const onlyIssues = response.data.filter(issue => !issue.pull_request);
-      issues.push(...onlyIssues);
+  const parentWorkItemIds = config.pullRequests.linkToParentIssue ? issueWorkItemIds : [];
 
-      console.log(`  Fetched page ${page}: ${onlyIssues.length} issues`);
+  // === FIND OR CREATE WORK ITEM ===
+  console.log('🔍 Checking if work item already exists...');
+  let workItem = await find(vm);
 
-      if (response.data.length < perPage) break;
-      page++;
+  if (workItem === -1) {
+    console.error('❌ Error during work item lookup');
+    core.setFailed('Work item lookup failed');
+    return;
+  }
 
-      // Rate limiting
-      await delay(config.rateLimiting.delayBetweenCalls);
+  if (workItem === null) {
+    console.log('➕ No work item found, creating new one...');
+    workItem = await createPullRequestWorkItem(vm, parentWorkItemIds, stateMapper, userMapper);
+
+    if (workItem === -1) {
+      console.error('❌ Error creating work item');
+      core.setFailed('Work item creation failed');
+      return;
     }
-  } catch (error) {
-    console.error('Error fetching issues:', error.message);
-    throw error;
+  } else {
+    console.log(`✓ Found existing work item: ${workItem.id}`);
+    console.log(`⚙️  Processing action: ${vm.action}`);
+    await handlePullRequestAction(vm, workItem, parentWorkItemIds, stateMapper, userMapper);
   }
 
-  console.log(`📊 Total issues to migrate: ${issues.length}`);
-
-  // Initialize utilities
-  const stateMapper = initializeStateMapper(env);
-  const userMapper = initializeUserMapper(env);
-  const projectsClient = config.features.syncProjectStatus ? new GitHubProjectsClient(env.github_token) : null;
+  if (dryRunPlan) dryRunPlan.logIssue(vm);
 
-  // Process issues in batches
-  const batchSize = config.rateLimiting.batchSize;
-  let successCount = 0;
-  let failCount = 0;
-  const failedIssues = [];
-
-  for (let i = 0; i < issues.length; i += batchSize) {
-    const batch = issues.slice(i, i + batchSize);
-    console.log(`\n🔄 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(issues.length / batchSize)}...`);
-
-    for (const issue of batch) {
-      try {
-        console.log(`\n  📝 Issue #${issue.number}: ${issue.title.substring(0, 50)}...`);
-        
-        // Convert issue to vm format
-        const vm = convertIssueToVm(issue, owner, repo, env);
-
-        // Fetch project info if enabled
-        let projectInfo = null;
-        if (projectsClient) {
-          projectInfo = await projectsClient.getIssueProjectInfo(owner, repo, issue.number);
-        }
+  if (workItem) {
+    console.log(`✅ Work item ${workItem.id} processed successfully`);
+  }
+}
 
-        // Check if work item exists
-        let workItem = await find(vm);
-
-        if (workItem === null || workItem === -1) {
-          // Determine work item type
-          const workItemType = stateMapper.getWorkItemType(vm.title, vm.labels || []);
-          vm.env.wit = workItemType;
-
-          // Create work item
-          workItem = await createWorkItem(vm, projectInfo, stateMapper, userMapper);
-
-          if (workItem && workItem !== -1) {
-            // Link back to GitHub
-            if (vm.env.ghToken) {
-              await updateIssueBody(vm, workItem);
-            }
-            successCount++;
-            console.log(`    ✅ Created work item ${workItem.id}`);
-          } else {
-            failCount++;
-            failedIssues.push({ number: issue.number, title: issue.title, error: 'Creation failed' });
-            console.error(`    ❌ Failed to create work item`);
-          }
-        } else {
-          // Update existing work item
-          await updateWorkItem(vm, workItem, projectInfo, stateMapper, userMapper);
-          successCount++;
-          console.log(`    ✅ Updated work item ${workItem.id}`);
-        }
+/**
+ * Handle push and branch create events (development links)
+ * Commits referencing "#N" and branches named after an issue ("12-fix-login")
+ * are linked on the issue's work item
+ */
+async function handleDevelopmentEvent(context, env) {
+  if (!config.features.syncDevelopmentLinks) {
+    console.log('ℹ️  Development link sync is disabled, skipping');
+    return;
+  }
 
-        // Rate limiting between issues
-        await delay(config.rateLimiting.delayBetweenCalls);
+  const payload = context.payload;
+  const owner = payload.repository?.owner?.login || payload.repository?.owner?.name || "";
+  const repo = payload.repository?.name || "";
+  const developmentLinker = initializeDevelopmentLinker(env, payload.repository?.full_name);
 
-      } catch (error) {
-        failCount++;
-        failedIssues.push({ number: issue.number, title: issue.title, error: error.message });
-        console.error(`    ❌ Error processing issue #${issue.number}:`, error.message);
+  // Issue number → links
+  const linksByIssue = new Map();
+  const addLink = (number, link) => {
+    if (!linksByIssue.has(number)) linksByIssue.set(number, []);
+    linksByIssue.get(number).push(link);
+  };
 
-        if (!config.errorHandling.continueOnError) {
-          throw error;
-        }
-      }
+  if (context.eventName === 'push') {
+    for (const commit of payload.commits || []) {
+      developmentLinker.findIssueReferences(commit.message, owner, repo)
+        .forEach(number => addLink(number, DevelopmentLinker.commitLink(owner, repo, commit)));
+    }
+  } else if (payload.ref_type === 'branch') {
+    const number = developmentLinker.getIssueNumberFromBranch(payload.ref);
+    if (number) {
+      addLink(number, DevelopmentLinker.branchLink(owner, repo, payload.ref));
     }
   }
 
-  // Summary
-  console.log('\n' + '='.repeat(60));
-  console.log('📊 BULK MIGRATION SUMMARY');
-  console.log('='.repeat(60));
-  console.log(`✅ Successful: ${successCount}`);
-  console.log(`❌ Failed: ${failCount}`);
-  console.log(`📋 Total: ${issues.length}`);
+  if (linksByIssue.size === 0) {
+    console.log('ℹ️  No issue references found');
+    return;
+  }
 
-  if (failedIssues.length > 0) {
-    console.log('\n❌ Failed Issues:');
-    failedIssues.forEach(issue => {
-      console.log(`  #${issue.number}: ${issue.title.substring(0, 40)}... - ${issue.error}`);
-    });
+  for (const [number, links] of linksByIssue) {
+    const vm = { ...getValuesFromPayload(payload, env), number };
+    if (dryRunPlan) dryRunPlan.startIssue(vm);
 
-    // Log to file if configured
-    if (config.errorHandling.logFailures) {
-      const fs = require('fs');
-      fs.writeFileSync(
-        config.errorHandling.failureLogPath,
-        JSON.stringify(failedIssues, null, 2)
-      );
-      console.log(`\n📄 Failed issues logged to: ${config.errorHandling.failureLogPath}`);
+    console.log(`🔍 Issue #${number}: ${links.length} development link(s)`);
+    const workItem = await find(vm);
+
+    if (workItem && workItem !== -1) {
+      await addDevelopmentLinks(vm, workItem, links, developmentLinker);
+    } else {
+      console.log(`  Issue #${number} has no work item, skipping`);
     }
-  }
 
-  console.log('='.repeat(60));
+    if (dryRunPlan) dryRunPlan.logIssue(vm);
+  }
 }
 
 /**
- * Create a new work item with full metadata sync
- * This is the core function that creates work items with all GitHub issue data
+ * Handle a GitHub Projects item event (projects_v2_item created/edited/deleted)
+ * Moving a card or editing its fields re-runs the state, iteration and custom field
+ * mapping of the issue's work item
  */
-async function createWorkItem(vm, projectInfo, stateMapper, userMapper) {
-  if (config.logging.level >= 200) console.log('Creating work item with full metadata...');
+async function handleProjectItemEvent(payload, env) {
+  const item = payload.projects_v2_item || {};
 
-  // === CONVERT MARKDOWN TO HTML ===
-  const converter = new showdown.Converter({ tables: true });
-  const descriptionHtml = converter.makeHtml(vm.body);
+  if (!config.projectEvents.enabled || !config.features.syncProjectStatus) {
+    console.log('ℹ️  Project item sync is disabled, skipping');
+    return;
+  }
 
-  // === DETERMINE ADO STATE ===
-  const projectName = projectInfo ? projectsClient.getProjectName(projectInfo) : null;
-  const projectStatus = projectInfo ? projectsClient.getProjectStatus(projectInfo) : null;
-  
-  const adoState = stateMapper.getAdoState(
-    vm.env.wit,
-    vm.state,
-    projectName,
-    projectStatus
-  );
+  if (!config.projectEvents.actions.includes(payload.action)) {
+    console.log(`ℹ️  Project item action "${payload.action}" is not synced, skipping`);
+    return;
+  }
 
-  console.log(`🎯 ADO State: ${adoState}`);
+  if (item.content_type !== 'Issue') {
+    console.log(`ℹ️  Project item is a ${item.content_type || 'unknown item'}, not an issue, skipping`);
+    return;
+  }
 
-  // === MAP ASSIGNEE ===
-  let assignedTo = null;
-  if (config.features.syncAssignees && vm.assignees && vm.assignees.length > 0) {
-    assignedTo = userMapper.getPrimaryAdoUser(vm.assignees);
-    if (assignedTo) {
-      console.log(`👤 Assigned to: ${assignedTo}`);
-    }
+  // Skip if sender is azure-boards bot (avoid infinite loops)
+  if (payload.sender?.login === "azure-boards[bot]") {
+    console.log('🤖 azure-boards[bot] sender detected, exiting to avoid loop');
+    return;
   }
 
-  // === BUILD PATCH DOCUMENT ===
-  let patchDocument = [];
+  projectsClient = new GitHubProjectsClient(env.github_token, config.projects.projectIds);
+  const issueRef = await projectsClient.getProjectItemIssue(item.content_node_id, item.project_node_id);
 
-  // Title (required)
-  if (config.features.syncTitle) {
-    patchDocument.push({
-      op: "add",
-      path: "/fields/System.Title",
-      value: `${vm.title} (GitHub Issue #${vm.number})`
-    });
+  if (!issueRef) {
+    console.log('ℹ️  Project item content is not an issue, skipping');
+    return;
   }
 
-  // Description (required for most work item types)
-  if (config.features.syncDescription) {
-    patchDocument.push({
-      op: "add",
-      path: "/fields/System.Description",
-      value: descriptionHtml
-    });
+  const projectIds = config.projects.projectIds;
+  if (projectIds.length > 0 && !projectIds.includes(issueRef.projectNumber)) {
+    console.log(`ℹ️  GitHub project #${issueRef.projectNumber} is not in config.projects.projectIds, skipping`);
+    return;
+  }
 
-    // Also add to ReproSteps for Bugs
-    if (vm.env.wit === "Bug") {
-      patchDocument.push({
-        op: "add",
-        path: "/fields/Microsoft.VSTS.TCM.ReproSteps",
-        value: descriptionHtml
-      });
-    }
+  // An org webhook sees every repository; each workflow syncs its own
+  const repository = `${issueRef.owner}/${issueRef.repo}`;
+  if (env.GITHUB_REPOSITORY && env.GITHUB_REPOSITORY.toLowerCase() !== repository.toLowerCase()) {
+    console.log(`ℹ️  Issue belongs to ${repository}, not ${env.GITHUB_REPOSITORY}, skipping`);
+    return;
   }
 
-  // State
-  if (config.features.syncState) {
-    patchDocument.push({
-      op: "add",
-      path: "/fields/System.State",
-      value: adoState
-    });
+  const change = describeProjectItemChange(payload, issueRef);
+  console.log(`📋 ${repository}#${issueRef.number}: ${change}`);
+
+  const octokit = apiRetry.wrapOctokit(new Octokit({ auth: env.github_token }));
+  const { data: issue } = await octokit.issues.get({ owner: issueRef.owner, repo: issueRef.repo, issue_number: issueRef.number });
+
+  const vm = {
+    ...convertIssueToVm(issue, issueRef.owner, issueRef.repo, env),
+    action: `project_item_${payload.action}`,
+    sender_login: payload.sender?.login || issue.user.login
+  };
+  if (dryRunPlan) dryRunPlan.startIssue(vm);
+
+  const workItem = await find(vm);
+
+  if (workItem && workItem !== -1) {
+    const stateMapper = initializeStateMapper(env);
+    const projectInfo = await projectsClient.getIssueProjectInfo(issueRef.owner, issueRef.repo, issueRef.number);
+
+    const current = await syncWorkItemType(vm, workItem, projectInfo, stateMapper);
+    await syncProjectFields(vm, current, projectInfo, stateMapper, change);
+  } else {
+    console.log(`  Issue #${issueRef.number} has no work item, skipping`);
   }
 
-  // Tags - Include repo name and labels
-  if (config.features.syncLabels) {
-    const tags = buildTagsString(vm);
-    patchDocument.push({
-      op: "add",
-      path: "/fields/System.Tags",
-      value: tags
-    });
+  if (dryRunPlan) dryRunPlan.logIssue(vm);
+}
+
+/**
+ * Describe a projects_v2_item change for logs and the work item history
+ * e.g. 'Status set to "In PR review" in GitHub project "Roadmap"'
+ */
+function describeProjectItemChange(payload, issueRef) {
+  const project = `GitHub project "${issueRef.projectName}"`;
+  const fieldValue = payload.changes?.field_value;
+
+  switch (payload.action) {
+    case 'created':
+      return `Added to ${project}`;
+    case 'deleted':
+      return `Removed from ${project}`;
+    default: {
+      if (!fieldValue?.field_name) return `Item ${payload.action} in ${project}`;
+
+      const to = fieldValue.to;
+      const value = to && typeof to === 'object' ? (to.name ?? to.title ?? null) : to;
+
+      return value === null || value === undefined
+        ? `${fieldValue.field_name} cleared in ${project}`
+        : `${fieldValue.field_name} set to "${value}" in ${project}`;
+    }
   }
+}
 
-  // Hyperlink back to GitHub
-  patchDocument.push({
-    op: "add",
-    path: "/relations/-",
-    value: {
-      rel: "Hyperlink",
-      url: vm.url
+/**
+ * Re-apply the project-derived fields of a work item: state (StateMapper), sprint
+ * iteration (or the milestone's) and custom fields (mapCustomFields)
+ * @param {string} change - What changed on GitHub, for the history entry
+ */
+async function syncProjectFields(vm, workItem, projectInfo, stateMapper, change) {
+  const fields = workItem.fields || {};
+  const workItemType = fields["System.WorkItemType"] || vm.env.wit;
+  const patchDocument = [];
+
+  // State from the project status (an issue in no project keeps its state)
+  if (projectInfo) {
+    const projectName = projectsClient.getProjectName(projectInfo);
+    const projectStatus = projectsClient.getProjectStatus(projectInfo);
+    const adoState = stateMapper.getAdoState(workItemType, vm.state, projectName, projectStatus);
+
+    if (fields["System.State"] !== adoState) {
+      console.log(`🎯 ADO State: ${fields["System.State"]} → ${adoState}`);
+      patchDocument.push({ op: "replace", path: "/fields/System.State", value: adoState });
     }
-  });
+  }
+
+  // Sprint
+  if (config.features.syncIterations && projectInfo) {
+    const iterationPath = await handleIteration(vm, projectInfo, stateMapper);
+    if (iterationPath && fields["System.IterationPath"] !== iterationPath) {
+      patchDocument.push({ op: "replace", path: "/fields/System.IterationPath", value: iterationPath });
+    }
+  }
+
+  // Milestone (its iteration applies again when the card has no sprint)
+  patchDocument.push(...await buildMilestonePatches(vm, workItem, projectInfo));
+
+  // Custom fields that changed
+  mapCustomFields(vm, projectInfo, workItemType)
+    .filter(patch => fields[patch.path.substring('/fields/'.length)] !== patch.value)
+    .forEach(patch => patchDocument.push(patch));
+
+  if (patchDocument.length === 0) {
+    console.log('  Work item already matches the project');
+    return workItem;
+  }
+
+  patchDocument.push({
+    op: "add",
+    path: "/fields/System.History",
+    value: `${change} on GitHub by ${vm.sender_login}`
+  });
+
+  return await updateWorkItemState(vm, workItem, patchDocument, stateMapper);
+}
+
+/**
+ * Handle bulk migration
+ * Fetches all issues from repository and syncs them
+ */
+async function handleBulkMigration(env) {
+  console.log('📦 Starting bulk migration...');
+
+  if (!env.github_token) {
+    throw new Error('GitHub token required for bulk migration');
+  }
+
+  // Initialize Octokit
+  const octokit = apiRetry.wrapOctokit(new Octokit({ auth: env.github_token }));
+
+  // Parse repository info from environment or config
+  const owner = env.GITHUB_REPOSITORY_OWNER || env.ado_organization;
+  const repo = env.GITHUB_REPOSITORY_NAME || env.ado_project;
+
+  if (!owner || !repo) {
+    throw new Error('Repository owner and name required. Set GITHUB_REPOSITORY_OWNER and GITHUB_REPOSITORY_NAME');
+  }
+
+  console.log(`📂 Repository: ${owner}/${repo}`);
+
+  // Load or start the checkpoint (dry runs don't touch it)
+  const checkpoint = new MigrationCheckpoint(
+    dryRunPlan ? null : (env.MIGRATION_CHECKPOINT_FILE || config.migration.checkpointPath),
+    config.migration.checkpointInterval
+  );
+  let mode = env.MIGRATION_MODE || 'bulk_all';
+
+  if (mode === 'resume') {
+    if (!checkpoint.load()) {
+      throw new Error(`No checkpoint found at ${checkpoint.checkpointPath}, nothing to resume`);
+    }
+    if (checkpoint.repository !== `${owner}/${repo}`) {
+      throw new Error(`Checkpoint belongs to ${checkpoint.repository}, not ${owner}/${repo}`);
+    }
+
+    mode = checkpoint.mode;
+    console.log(`⏯️  Resuming ${mode} migration (${checkpoint.getSummary().processed} issues already processed)`);
+  } else {
+    checkpoint.start(mode, `${owner}/${repo}`);
+  }
+
+  checkpoint.beginRun();
+
+  // Determine which issues to fetch based on mode
+  let state = 'all';
+  
+  if (mode === 'bulk_open') {
+    state = 'open';
+  } else if (mode === 'bulk_closed') {
+    state = 'closed';
+  }
+
+  console.log(`📋 Fetching ${state} issues...`);
+
+  const issues = await fetchRepoIssues(octokit, owner, repo, state);
+
+  console.log(`📊 Total issues to migrate: ${issues.length}`);
+
+  // Initialize utilities
+  const stateMapper = initializeStateMapper(env);
+  const userMapper = initializeUserMapper(env);
+  projectsClient = config.features.syncProjectStatus ? new GitHubProjectsClient(env.github_token, config.projects.projectIds) : null;
+
+  // All project items in a few paged queries instead of one query per issue
+  if (projectsClient && config.projects.projectIds.length > 0) {
+    await projectsClient.loadProjectItems(owner, config.projects.projectIds);
+  }
+
+  const developmentLinker = config.features.syncDevelopmentLinks && config.developmentLinks.backfillOnMigration
+    ? initializeDevelopmentLinker(env, `${owner}/${repo}`)
+    : null;
+
+  // Issues run in parallel (up to maxConcurrent), each one's steps in order,
+  // with the API calls of all workers paced by one shared budget
+  const pending = issues.filter(issue => !checkpoint.isDone(issue.number));
+  const skippedCount = issues.length - pending.length;
+  const concurrency = config.rateLimiting.maxConcurrent;
+  const progressInterval = config.rateLimiting.batchSize;
+  const budget = new RateBudget(config.rateLimiting.budget);
+  const startedAt = Date.now();
+  let successCount = 0;
+  let failCount = 0;
+  let completed = 0;
+
+  const migrateIssue = async issue => {
+    try {
+      console.log(`\n  📝 Issue #${issue.number}: ${issue.title.substring(0, 50)}...`);
+      
+      // Convert issue to vm format
+      const vm = convertIssueToVm(issue, owner, repo, env);
+      if (dryRunPlan) dryRunPlan.startIssue(vm);
+
+      // Fetch project info if enabled
+      let projectInfo = null;
+      if (projectsClient) {
+        projectInfo = await projectsClient.getIssueProjectInfo(owner, repo, issue.number);
+      }
+
+      // Fetch discussion history
+      if (config.features.syncComments && vm.comment_count > 0) {
+        vm.comments = await fetchIssueComments(vm);
+      }
+
+      // Check if work item exists
+      let workItem = await find(vm);
+
+      // Lookup failed: creating could duplicate a work item, retried on resume
+      if (workItem === -1) {
+        failCount++;
+        const apiError = apiRetry.takeFailure();
+        checkpoint.record({
+          number: issue.number,
+          title: issue.title,
+          status: 'failed',
+          workItemId: null,
+          error: apiError ? apiError.message : 'Work item lookup failed',
+          apiError: apiError ? apiError.toJSON() : null
+        });
+        console.error(`    ❌ Work item lookup failed, skipping`);
+        return;
+      }
+
+      if (workItem === null) {
+        // Determine work item type
+        vm.env.wit = detectWorkItemType(vm, projectInfo).type;
+
+        // Create work item
+        workItem = await createWorkItem(vm, projectInfo, stateMapper, userMapper);
+
+        if (workItem && workItem !== -1) {
+          // Link back to GitHub
+          if (vm.env.ghToken) {
+            await updateIssueBody(vm, workItem);
+          }
+          successCount++;
+          checkpoint.record({ number: issue.number, title: issue.title, status: 'created', workItemId: workItem.id });
+          console.log(`    ✅ Created work item ${workItem.id}`);
+        } else {
+          failCount++;
+          const apiError = apiRetry.takeFailure();
+          checkpoint.record({
+            number: issue.number,
+            title: issue.title,
+            status: 'failed',
+            workItemId: null,
+            error: apiError ? apiError.message : 'Creation failed',
+            apiError: apiError ? apiError.toJSON() : null
+          });
+          console.error(`    ❌ Failed to create work item`);
+        }
+      } else {
+        // Update existing work item
+        await updateWorkItem(vm, workItem, projectInfo, stateMapper, userMapper);
+
+        // Post comments missing from earlier runs
+        if (config.features.syncComments && vm.comments.length > 0) {
+          await syncComments(workItem.id, vm.comments, vm);
+        }
+
+        successCount++;
+        checkpoint.record({ number: issue.number, title: issue.title, status: 'updated', workItemId: workItem.id });
+        console.log(`    ✅ Updated work item ${workItem.id}`);
+      }
+
+      // Commits, branches and PRs from the issue timeline
+      if (developmentLinker && workItem && workItem !== -1) {
+        const links = await developmentLinker.getIssueLinks(owner, repo, issue.number);
+        await addDevelopmentLinks(vm, workItem, links, developmentLinker);
+      }
+
+      // Parent/children (links to issues not migrated yet are deferred)
+      await syncHierarchy(vm, workItem);
+
+      if (dryRunPlan) dryRunPlan.logIssue(vm);
+
+      // Persist identity mappings as we go
+      workItemStore.save();
+    } catch (error) {
+      failCount++;
+      const apiError = error instanceof ApiError ? error : apiRetry.takeFailure();
+      checkpoint.record({
+        number: issue.number,
+        title: issue.title,
+        status: 'failed',
+        workItemId: null,
+        error: error.message,
+        apiError: apiError ? apiError.toJSON() : null
+      });
+      console.error(`    ❌ Error processing issue #${issue.number}:`, error.message);
+
+      if (!config.errorHandling.continueOnError) {
+        throw error;
+      }
+    } finally {
+      completed++;
+      if (completed % progressInterval === 0 && completed < pending.length) {
+        console.log(`\n🔄 Progress: ${completed}/${pending.length} issues (${formatThroughput(completed, Date.now() - startedAt)})`);
+      }
+    }
+  };
+
+  console.log(`\n🔄 Migrating ${pending.length} issues with ${concurrency} worker(s)${skippedCount > 0 ? ` (${skippedCount} already migrated)` : ''}...`);
+  apiRetry.useBudget(budget);
+
+  try {
+    // Each issue keeps its own last API failure for the checkpoint
+    await new WorkerPool(concurrency).run(pending, issue => apiRetry.isolate(() => migrateIssue(issue)));
+  } finally {
+    apiRetry.useBudget(null);
+    // Outcomes since the last checkpoint write, also when a failure stopped the run
+    checkpoint.flush();
+  }
+
+  const elapsed = Date.now() - startedAt;
+
+  // Second pass: children migrated before their parents
+  await linkDeferredHierarchy(env);
+
+  checkpoint.endRun();
+
+  // Summary (merged across resumed runs)
+  const summary = checkpoint.getSummary();
+  const failedIssues = summary.failedIssues;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 BULK MIGRATION SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`🔁 This run: ${successCount} successful, ${failCount} failed, ${skippedCount} skipped (already migrated)`);
+  console.log(`✅ Successful: ${summary.created + summary.updated} (${summary.created} created, ${summary.updated} updated)`);
+  console.log(`❌ Failed: ${summary.failed}`);
+  console.log(`📋 Total: ${issues.length}`);
+  console.log(`⏱️  Throughput: ${formatThroughput(completed, elapsed)}, ${concurrency} worker(s)`);
+  console.log(`📡 API requests: ${Object.entries(budget.getStats()).map(([service, count]) => `${service} ${count}`).join(', ')}`);
+  if (summary.runs > 1) {
+    console.log(`⏯️  Runs: ${summary.runs}`);
+  }
+  console.log(`📄 Checkpoint: ${checkpoint.checkpointPath}`);
+
+  if (failedIssues.length > 0) {
+    console.log('\n❌ Failed Issues:');
+    failedIssues.forEach(issue => {
+      console.log(`  #${issue.number}: ${issue.title.substring(0, 40)}... - ${issue.error}`);
+    });
+
+    // Log to file if configured
+    if (config.errorHandling.logFailures) {
+      const fs = require('fs');
+      fs.writeFileSync(
+        config.errorHandling.failureLogPath,
+        JSON.stringify(failedIssues, null, 2)
+      );
+      console.log(`\n📄 Failed issues logged to: ${config.errorHandling.failureLogPath}`);
+    }
+  }
+
+  console.log('='.repeat(60));
+}
+
+/**
+ * Fetch all issues of a repository (paginated), excluding pull requests
+ */
+async function fetchRepoIssues(octokit, owner, repo, state = 'all') {
+  const issues = [];
+  let page = 1;
+  const perPage = 100;
+
+  try {
+    while (true) {
+      const response = await octokit.issues.listForRepo({
+        owner,
+        repo,
+        state,
+        per_page: perPage,
+        page,
+      });
+
+      if (response.data.length === 0) break;
+
+      // Filter out pull requests (they have pull_request property)
+      const onlyIssues = response.data.filter(issue => !issue.pull_request);
+      issues.push(...onlyIssues);
+
+      console.log(`  Fetched page ${page}: ${onlyIssues.length} issues`);
+
+      if (response.data.length < perPage) break;
+      page++;
+
+      // Rate limiting
+      await delay(config.rateLimiting.delayBetweenCalls);
+    }
+  } catch (error) {
+    console.error('Error fetching issues:', error.message);
+    throw error;
+  }
+
+  return issues;
+}
+
+/**
+ * Rebuild the identity mapping from existing work items and issues
+ * Sources: GH-<n> tags, GitHub hyperlink relations and AB# links in issue bodies
+ */
+async function handleIdentityBackfill(env) {
+  console.log('🧭 Rebuilding work item identity mapping...');
+
+  if (!env.github_token) {
+    throw new Error('GitHub token required for identity backfill');
+  }
+
+  const owner = env.GITHUB_REPOSITORY_OWNER || env.ado_organization;
+  const repo = env.GITHUB_REPOSITORY_NAME || env.ado_project;
+
+  if (!owner || !repo) {
+    throw new Error('Repository owner and name required. Set GITHUB_REPOSITORY_OWNER and GITHUB_REPOSITORY_NAME');
+  }
+
+  const adoEnv = buildEnvObject(env);
+  const client = await getWorkItemClient(adoEnv);
+
+  // === ADO SIDE: tags and hyperlinks ===
+  const queryResult = await client.queryByWiql({
+    query: `SELECT [System.Id] FROM workitems
+            WHERE [System.TeamProject] = @project
+            AND [System.Tags] CONTAINS 'GitHub Issue'
+            AND [System.Tags] CONTAINS '${repo}'`
+  }, { project: adoEnv.project });
+
+  const ids = (queryResult?.workItems || []).map(ref => ref.id);
+  console.log(`📊 Work items tagged for ${repo}: ${ids.length}`);
+
+  const issueUrlPattern = new RegExp(`github\\.com/([^/]+)/${repo}/issues/(\\d+)`, 'i');
+  const workItems = [];
+  let fromAdo = 0;
+
+  for (let i = 0; i < ids.length; i += 200) {
+    const batch = await client.getWorkItems(ids.slice(i, i + 200), null, null, 4);
+    workItems.push(...batch);
+  }
+
+  for (const workItem of workItems) {
+    let issueOwner = owner;
+    let issueNumber = null;
+
+    // Hyperlink relation back to the issue (added on creation)
+    for (const relation of workItem.relations || []) {
+      const match = relation.rel === 'Hyperlink' && relation.url ? relation.url.match(issueUrlPattern) : null;
+      if (match) {
+        issueOwner = match[1];
+        issueNumber = parseInt(match[2]);
+        break;
+      }
+    }
+
+    // GH-<n> tag
+    if (!issueNumber) {
+      const tags = (workItem.fields["System.Tags"] || "").split(";").map(tag => tag.trim());
+      const ghTag = tags.find(tag => /^GH-\d+$/i.test(tag));
+      if (ghTag) issueNumber = parseInt(ghTag.substring(3));
+    }
+
+    if (!issueNumber) continue;
+
+    workItemStore.set({ owner: issueOwner, repo, number: issueNumber, workItemId: workItem.id, source: 'backfill' });
+    fromAdo++;
+  }
+
+  console.log(`  Mapped ${fromAdo} issues from work item tags and links`);
+
+  // === GITHUB SIDE: AB# links and node ids ===
+  const octokit = apiRetry.wrapOctokit(new Octokit({ auth: env.github_token }));
+  const issues = await fetchRepoIssues(octokit, owner, repo, 'all');
+  let fromBody = 0;
+
+  for (const issue of issues) {
+    const existing = workItemStore.get(owner, repo, issue.number);
+    const abMatch = (issue.body || "").match(/AB#(\d+)/);
+    const workItemId = abMatch ? parseInt(abMatch[1]) : existing?.workItemId;
+
+    if (!workItemId) continue;
+
+    if (existing && existing.workItemId !== workItemId) {
+      console.log(`  ⚠️  Issue #${issue.number}: AB#${workItemId} conflicts with tagged work item ${existing.workItemId}, keeping ${existing.workItemId}`);
+    }
+
+    workItemStore.set({
+      owner,
+      repo,
+      number: issue.number,
+      nodeId: issue.node_id,
+      workItemId: existing ? existing.workItemId : workItemId,
+      source: existing ? existing.source : 'backfill',
+      linkedInBody: !!abMatch
+    });
+
+    if (!existing) fromBody++;
+  }
+
+  console.log(`  Mapped ${fromBody} additional issues from AB# links`);
+
+  // === MIRROR TO ADO FIELD ===
+  if (config.identity.adoField) {
+    for (const workItem of workItems) {
+      const entry = workItemStore.getByWorkItemId(workItem.id);
+      if (!entry || workItem.fields[config.identity.adoField] === entry.key) continue;
+
+      await updateWorkItemDirect([{
+        op: "add",
+        path: `/fields/${config.identity.adoField}`,
+        value: entry.key
+      }], workItem.id, adoEnv);
+
+      await delay(config.rateLimiting.delayBetweenCalls);
+    }
+  }
+
+  workItemStore.save();
+  workItemStore.logMappings(config.logging.level);
+  console.log(`✅ Identity backfill complete: ${workItemStore.getStats().totalMappings} mappings`);
+}
+
+/**
+ * Check the state mapping against the ADO process and GitHub Projects (MIGRATION_MODE=doctor)
+ * Nothing is written; the run fails if a mapped state or work item type doesn't exist
+ */
+async function handleDoctor(env) {
+  const stateMapper = initializeStateMapper(env);
+  const adoEnv = buildEnvObject(env);
+
+  const client = await getWorkItemClient(adoEnv);
+
+  const workItemTypes = await client.getWorkItemTypes(adoEnv.project);
+  console.log(`📊 ADO project ${adoEnv.project}: ${workItemTypes.length} work item types`);
+
+  // GitHub Projects status options (needs a token with project scope)
+  const githubProjects = [];
+  const missingProjects = [];
+  const owner = env.GITHUB_REPOSITORY_OWNER || env.ado_organization;
+
+  if (config.projects.enabled && env.github_token && owner) {
+    const githubClient = new GitHubProjectsClient(env.github_token);
+
+    for (const projectNumber of config.projects.projectIds) {
+      const project = await githubClient.getProjectStatusOptions(owner, projectNumber);
+
+      if (project) {
+        console.log(`📋 GitHub project "${project.title}" (#${projectNumber}): ${project.options.length} status options`);
+        githubProjects.push(project);
+      } else {
+        missingProjects.push(MappingDoctor.warning(`GitHub project #${projectNumber} (config.projects.projectIds) not found for ${owner}`));
+      }
+    }
+  } else {
+    console.log('ℹ️  GitHub Projects not checked (disabled, or no github_token/owner)');
+  }
+
+  const doctor = new MappingDoctor(stateMapper, config);
+  const problems = [...doctor.check(workItemTypes, githubProjects), ...missingProjects];
+  const errorCount = MappingDoctor.logReport(problems);
+
+  if (errorCount > 0) {
+    core.setFailed(`State mapping check found ${errorCount} errors`);
+  }
+}
+
+/**
+ * Propose user mappings for GitHub org members (MIGRATION_MODE=discover_users)
+ * Writes the mapping for review and a report; nothing is synced
+ */
+async function handleUserDiscovery(env) {
+  const adoEnv = buildEnvObject(env);
+  const organization = env.GITHUB_REPOSITORY_OWNER;
+
+  if (!organization) {
+    throw new Error('GITHUB_REPOSITORY_OWNER is required for user discovery');
+  }
+
+  const userMapper = initializeUserMapper(env);
+  const discovery = new UserDiscovery(config.userMapping.discovery, env.github_token, adoEnv.adoToken, adoEnv.orgUrl);
+
+  const members = await discovery.getGithubMembers(organization);
+  console.log(`📊 GitHub organization ${organization}: ${members.length} members`);
+
+  const adoUsers = await discovery.getAdoUsers();
+  console.log(`📊 ADO organization ${adoEnv.orgUrl}: ${adoUsers.length} users`);
+
+  const { mapping, report } = discovery.buildOutput(discovery.match(members, adoUsers, userMapper), organization);
+  UserDiscovery.logReport(report);
+
+  discovery.save(mapping, report);
+}
+
+/**
+ * Create a new work item with full metadata sync
+ * This is the core function that creates work items with all GitHub issue data
+ */
+async function createWorkItem(vm, projectInfo, stateMapper, userMapper) {
+  if (config.logging.level >= 200) console.log('Creating work item with full metadata...');
+
+  // === CONVERT MARKDOWN TO HTML ===
+  const converter = new showdown.Converter({ tables: true });
+  const description = await migrateAttachments(converter.makeHtml(vm.body), vm);
+  const descriptionHtml = description.html;
+
+  // === DETERMINE ADO STATE ===
+  const projectName = projectInfo ? projectsClient.getProjectName(projectInfo) : null;
+  const projectStatus = projectInfo ? projectsClient.getProjectStatus(projectInfo) : null;
+  
+  const adoState = stateMapper.getAdoState(
+    vm.env.wit,
+    vm.state,
+    projectName,
+    projectStatus
+  );
+
+  console.log(`🎯 ADO State: ${adoState}`);
+
+  // === MAP ASSIGNEE ===
+  const assignees = config.features.syncAssignees
+    ? buildAssigneePatches(vm, null, userMapper)
+    : { assignment: null, patches: [] };
+
+  // === BUILD PATCH DOCUMENT ===
+  let patchDocument = [];
+
+  // Title (required)
+  if (config.features.syncTitle) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.Title",
+      value: buildWorkItemTitle(vm)
+    });
+  }
+
+  // Description (required for most work item types)
+  if (config.features.syncDescription) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.Description",
+      value: descriptionHtml
+    });
+
+    // Also add to ReproSteps for Bugs
+    if (vm.env.wit === "Bug") {
+      patchDocument.push({
+        op: "add",
+        path: "/fields/Microsoft.VSTS.TCM.ReproSteps",
+        value: descriptionHtml
+      });
+    }
+  }
+
+  // State
+  if (config.features.syncState) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.State",
+      value: adoState
+    });
+  }
+
+  // Tags - Include repo name and labels
+  if (config.features.syncLabels) {
+    const tags = buildTagsString(vm);
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.Tags",
+      value: tags
+    });
+  }
+
+  // Identity key for find()
+  if (config.identity.adoField) {
+    patchDocument.push({
+      op: "add",
+      path: `/fields/${config.identity.adoField}`,
+      value: WorkItemStore.buildKey(vm.owner, vm.repository, vm.number)
+    });
+  }
+
+  // Hyperlink back to GitHub
+  patchDocument.push({
+    op: "add",
+    path: "/relations/-",
+    value: {
+      rel: "Hyperlink",
+      url: vm.url
+    }
+  });
+
+  // Attachments copied from the description
+  patchDocument.push(...AttachmentMigrator.buildRelationPatches(description.attachments));
 
   // History/Comment about creation
   patchDocument.push({
     op: "add",
     path: "/fields/System.History",
-    value: `GitHub <a href="${vm.url}" target="_new">issue #${vm.number}</a> created in <a href="${vm.repo_url}" target="_new">${vm.repo_fullname}</a> by ${vm.user}`
+    value: `GitHub <a href="${vm.url}" target="_new">issue #${vm.number}</a> created in <a href="${vm.repo_url}" target="_new">${vm.repo_fullname}</a> by ${vm.user}`
+  });
+
+  // === AREA PATH ===
+  //const areaPath = stateMapper.getAreaPath(projectName);
+  console.log(` vm.env.areaPath "${vm.env.areaPath}"`)
+  const areaPath = vm.env.areaPAth
+  if (areaPath) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.AreaPath",
+      value: areaPath
+    });
+  }
+
+  // === ITERATION PATH ===
+  if (config.features.syncIterations && projectInfo) {
+    const iterationPath = await handleIteration(vm, projectInfo, stateMapper);
+    if (iterationPath) {
+      patchDocument.push({
+        op: "add",
+        path: "/fields/System.IterationPath",
+        value: iterationPath
+      });
+    }
+  }
+
+  // === MILESTONE ===
+  patchDocument.push(...await buildMilestonePatches(vm, null, projectInfo));
+
+  // === ASSIGNEE ===
+  mergePatches(patchDocument, assignees.patches);
+
+  // === DATES (requires bypassRules) ===
+  if (config.features.syncDates && vm.env.bypassRules) {
+    // Created date
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.CreatedDate",
+      value: vm.created_at
+    });
+
+    // Closed date if applicable
+    if (vm.closed_at) {
+      patchDocument.push({
+        op: "add",
+        path: "/fields/System.ClosedDate",
+        value: vm.closed_at
+      });
+    }
+
+    // Created by
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.CreatedBy",
+      value: vm.user
+    });
+  }
+
+  // === CUSTOM FIELDS MAPPING ===
+  if (projectInfo && projectInfo.fields) {
+    const customFieldPatches = mapCustomFields(vm, projectInfo, vm.env.wit);
+    patchDocument.push(...customFieldPatches);
+  }
+
+  // === PRIORITY FROM LABELS ===
+  const priority = getPriorityFromLabels(vm.labels || []);
+  if (priority) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/Microsoft.VSTS.Common.Priority",
+      value: priority
+    });
+  }
+
+  // === STORY POINTS / EFFORT ===
+  if (vm.defaultStoryPoints) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/Microsoft.VSTS.Scheduling.StoryPoints",
+      value: parseFloat(vm.defaultStoryPoints)
+    });
+  }
+
+  // === HIERARCHY (PARENT-CHILD) ===
+  if (config.features.syncHierarchy && vm.parent_id) {
+    patchDocument.push({
+      op: "add",
+      path: "/relations/-",
+      value: {
+        rel: config.hierarchy.linkType,
+        url: buildWorkItemUrl(vm.env, vm.parent_id)
+      }
+    });
+  }
+
+  // Log patch document if verbose
+  if (config.logging.level >= 300) {
+    console.log("Patch document:");
+    console.log(JSON.stringify(patchDocument, null, 2));
+  }
+
+  // === CREATE WORK ITEM ===
+  const workItem = await createWorkItemWithState(vm, patchDocument, stateMapper);
+
+  if (workItem && workItem !== -1) {
+    rememberWorkItem(vm, workItem.id, 'created');
+    rememberAttachments(vm, description.attachments);
+
+    if (assignees.assignment) {
+      await syncAdditionalAssignees(vm, workItem, assignees.assignment);
+    }
+  }
+  
+  // === SYNC COMMENTS ===
+  if (workItem && workItem !== -1 && config.features.syncComments && vm.comments && vm.comments.length > 0) {
+    await syncComments(workItem.id, vm.comments, vm);
+  }
+
+  // === ADD CUSTOM FIELDS AS COMMENT ===
+  if (workItem && config.customFields.writeToComments && projectInfo) {
+    const customFieldsComment = projectsClient.formatCustomFieldsComment(projectInfo);
+    if (customFieldsComment) {
+      await addComment(workItem.id, customFieldsComment, vm.env);
+    }
+  }
+
+  return workItem;
+}
+
+/**
+ * Detect the ADO work item type of an issue and log the rule that decided it
+ * @returns {Object} { type, rule, match } (WorkItemTypeDetector.detect)
+ */
+function detectWorkItemType(vm, projectInfo) {
+  const result = typeDetector.detect({
+    title: vm.title,
+    body: vm.body,
+    labels: vm.labels,
+    issueType: vm.issue_type
+  }, projectInfo);
+
+  console.log(`📋 Work item type: ${WorkItemTypeDetector.describe(result)}`);
+  return result;
+}
+
+/**
+ * Change the work item type when the issue's detected type changed ("[Story]" → "[Bug]", label swap)
+ * Uses ADO's change type (a System.WorkItemType patch) with the state remapped for the new type
+ * If no rule matches anymore the type is kept, so a type set by hand in ADO isn't reset to the default
+ * @returns {Object} Work item with its current type and state
+ */
+async function syncWorkItemType(vm, workItem, projectInfo, stateMapper) {
+  const currentType = workItem.fields?.["System.WorkItemType"];
+  if (!config.workItemTypes.followChanges || !currentType) return workItem;
+
+  const result = detectWorkItemType(vm, projectInfo);
+  if (result.type === currentType || result.rule === 'default') return workItem;
+
+  const projectName = projectInfo ? projectsClient.getProjectName(projectInfo) : null;
+  const projectStatus = projectInfo ? projectsClient.getProjectStatus(projectInfo) : null;
+  let newState = stateMapper.getAdoState(result.type, vm.state, projectName, projectStatus);
+
+  // Without a project status the mapping is only the global fallback; keep the current state if the new type has it
+  const currentState = workItem.fields["System.State"];
+  if (!projectStatus && currentState && currentState !== newState) {
+    const transitions = await getStateTransitions(vm.env, result.type, stateMapper);
+    if (transitions && Object.keys(transitions).includes(currentState)) {
+      newState = currentState;
+    }
+  }
+
+  console.log(`🔀 Changing work item type: ${currentType} → ${result.type} (state ${newState})`);
+
+  const patchDocument = [
+    {
+      op: "add",
+      path: "/fields/System.WorkItemType",
+      value: result.type
+    },
+    {
+      op: "add",
+      path: "/fields/System.State",
+      value: newState
+    },
+    ...buildTypeChangeFieldPatches(workItem, currentType, result.type),
+    {
+      op: "add",
+      path: "/fields/System.History",
+      value: `Work item type changed from ${currentType} to ${result.type} on GitHub by ${vm.sender_login} (${result.rule} rule)`
+    }
+  ];
+
+  const updated = await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+  if (!updated) return workItem;
+
+  vm.env.wit = result.type;
+  return {
+    ...workItem,
+    fields: { ...workItem.fields, "System.WorkItemType": result.type, "System.State": newState }
+  };
+}
+
+/**
+ * Carry over content kept in type-specific fields
+ * Bugs hold the issue body in Repro Steps as well as the description (see createWorkItem)
+ */
+function buildTypeChangeFieldPatches(workItem, fromType, toType) {
+  const patches = [];
+  const description = workItem.fields["System.Description"];
+  const reproSteps = workItem.fields["Microsoft.VSTS.TCM.ReproSteps"];
+
+  if (toType === "Bug" && description && !reproSteps) {
+    patches.push({
+      op: "add",
+      path: "/fields/Microsoft.VSTS.TCM.ReproSteps",
+      value: description
+    });
+  }
+
+  if (fromType === "Bug" && reproSteps && !description) {
+    patches.push({
+      op: "add",
+      path: "/fields/System.Description",
+      value: reproSteps
+    });
+  }
+
+  return patches;
+}
+
+/**
+ * Build work item title with the GitHub reference
+ * Format: "<title> (GitHub Issue #N)" or "<title> (GitHub PR #N)"
+ */
+function buildWorkItemTitle(vm) {
+  return `${vm.title} (GitHub ${vm.is_pull_request ? 'PR' : 'Issue'} #${vm.number})`;
+}
+
+/**
+ * Build tags string from labels and repo name
+ */
+function buildTagsString(vm) {
+  const tags = [];
+
+  // Add repo identifier
+  tags.push(getSourceTag(vm));
+  tags.push(vm.repo_name);
+  
+  // Add issue number tag
+  tags.push(`GH-${vm.number}`);
+
+  // Milestone tag
+  if (config.features.syncMilestones && config.milestones.strategy === "tag" && vm.milestone) {
+    tags.push(getMilestoneTag(vm.milestone));
+  }
+
+  // Add all labels if configured
+  if (config.labels.allAsTags && vm.labels && Array.isArray(vm.labels)) {
+    vm.labels.forEach(label => {
+      // Skip labels that map to priority (they're handled separately)
+      if (!config.labels.priorityLabels[label]) {
+        tags.push(label);
+      }
+    });
+  }
+
+  // Join with semicolon and space
+  return tags.join("; ");
+}
+
+/**
+ * Tag marking where a work item came from ("GitHub Issue" / "GitHub Pull Request")
+ */
+function getSourceTag(vm) {
+  return vm.is_pull_request ? "GitHub Pull Request" : "GitHub Issue";
+}
+
+/**
+ * Get priority value from labels
+ */
+function getPriorityFromLabels(labels) {
+  if (!labels || !Array.isArray(labels)) return null;
+
+  for (const label of labels) {
+    if (config.labels.priorityLabels[label]) {
+      return config.labels.priorityLabels[label];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map custom fields from GitHub Projects to ADO fields
+ */
+function mapCustomFields(vm, projectInfo, workItemType) {
+  const patches = [];
+
+  if (!projectInfo || !projectInfo.fields) return patches;
+
+  // Iterate through custom field mappings
+  for (const [fieldName, mapping] of Object.entries(config.customFields.mappings)) {
+    const value = projectInfo.fields[fieldName];
+    
+    if (!value) continue; // Skip if field not present
+
+    // Check if this field should only apply to certain work item types
+    if (mapping.workItemTypes && !mapping.workItemTypes.includes(workItemType)) {
+      continue;
+    }
+
+    // If there's an ADO field mapping
+    if (mapping.adoField) {
+      let mappedValue = value;
+
+      // Apply value mapping if present
+      if (mapping.mapping && mapping.mapping[value] !== undefined) {
+        mappedValue = mapping.mapping[value];
+      }
+
+      patches.push({
+        op: "add",
+        path: `/fields/${mapping.adoField}`,
+        value: mappedValue
+      });
+
+      console.log(`  📋 Mapped ${fieldName} → ${mapping.adoField}: ${mappedValue}`);
+    }
+  }
+
+  return patches;
+}
+
+/**
+ * Handle iteration/sprint creation and mapping
+ */
+async function handleIteration(vm, projectInfo, stateMapper) {
+  const sprintInfo = projectsClient.getSprintInfo(projectInfo);
+  
+  if (!sprintInfo) return null;
+
+  console.log(`📅 Sprint: ${sprintInfo.name}`);
+
+  // Initialize iteration creator if not already done
+  if (!vm.iterationCreator) {
+    vm.iterationCreator = new IterationCreator(
+      vm.env.adoToken,
+      vm.env.organization,
+      vm.env.project,
+      config.iterations
+    );
+  }
+
+  // The start date can be part of the path (nameTemplate)
+  const { startDate, endDate, datesKnown } = vm.iterationCreator.getSprintDates(sprintInfo, config.iterations.defaultDuration);
+
+  // Default dates would put the same sprint somewhere else on every run
+  if (!datesKnown && vm.iterationCreator.usesDates()) {
+    console.log(`⚠️  No dates for sprint '${sprintInfo.name}', iterations.nameTemplate needs them, iteration not set`);
+    return null;
+  }
+
+  // Create iteration if it doesn't exist and auto-create is enabled
+  if (config.iterations.autoCreate && dryRunPlan) {
+    if (!(await vm.iterationCreator.iterationExists(sprintInfo.name, startDate))) {
+      dryRunPlan.record(vm.env, {
+        target: 'ado',
+        action: 'createIteration',
+        sprint: sprintInfo,
+        path: vm.iterationCreator.getIterationPath(sprintInfo.name, startDate)
+      });
+    }
+  } else if (config.iterations.autoCreate) {
+    await vm.iterationCreator.createIteration(sprintInfo.name, startDate, endDate);
+  }
+
+  // Return iteration path
+  return vm.iterationCreator.getIterationPath(sprintInfo.name, startDate);
+}
+
+/**
+ * Sync comments from GitHub issue to ADO work item
+ * Posts in chronological order and skips comments synced by an earlier run
+ */
+async function syncComments(workItemId, comments, vm) {
+  if (!comments || comments.length === 0) return;
+
+  const sorted = [...comments].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const alreadySynced = await getSyncedCommentIds(workItemId, sorted, vm);
+  const pending = sorted.filter(comment => !alreadySynced.has(String(comment.id)));
+
+  if (pending.length < sorted.length) {
+    console.log(`💬 Skipping ${sorted.length - pending.length} already synced comments`);
+  }
+  if (pending.length === 0) return;
+
+  console.log(`💬 Syncing ${pending.length} comments...`);
+
+  for (const comment of pending) {
+    try {
+      const commentHtml = await buildMigratedCommentHtml(workItemId, comment, vm);
+      const result = await addComment(workItemId, commentHtml, vm.env);
+
+      if (result && comment.id && workItemStore && !dryRunPlan) {
+        workItemStore.setComment(vm.owner, vm.repository, vm.number, comment.id, { adoCommentId: result.id });
+        workItemStore.save();
+      }
+      
+      // Rate limiting
+      await delay(200);
+    } catch (error) {
+      console.error(`Error syncing comment:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get ids of GitHub comments already synced to a work item
+ * Checks the identity store, then the "View on GitHub" links in the work item's comments
+ */
+async function getSyncedCommentIds(workItemId, comments, vm) {
+  const synced = new Set();
+
+  for (const comment of comments) {
+    if (comment.id && workItemStore && workItemStore.getComment(vm.owner, vm.repository, vm.number, comment.id)) {
+      synced.add(String(comment.id));
+    }
+  }
+
+  // Everything known locally, or nothing to look up in ADO (dry-run placeholder)
+  if (synced.size === comments.length || typeof workItemId !== 'number') {
+    return synced;
+  }
+
+  const adoComments = await getAdoCommentsByGithubId(workItemId, vm.env);
+  adoComments.forEach((adoCommentId, githubCommentId) => synced.add(githubCommentId));
+
+  return synced;
+}
+
+/**
+ * Find the ADO comment a GitHub comment was synced to
+ * @returns {number|null} ADO comment id
+ */
+async function findAdoCommentId(workItemId, githubCommentId, vm) {
+  const record = workItemStore ? workItemStore.getComment(vm.owner, vm.repository, vm.number, githubCommentId) : null;
+  if (record && record.adoCommentId) {
+    return record.adoCommentId;
+  }
+
+  // Synced before ids were tracked (or the mapping was lost): look for the id in the work item's comments
+  if (typeof workItemId !== 'number') return null;
+
+  const adoComments = await getAdoCommentsByGithubId(workItemId, vm.env);
+  const adoCommentId = adoComments.get(String(githubCommentId)) || null;
+
+  if (adoCommentId && workItemStore && !dryRunPlan) {
+    workItemStore.setComment(vm.owner, vm.repository, vm.number, githubCommentId, { adoCommentId });
+  }
+
+  return adoCommentId;
+}
+
+/**
+ * Map GitHub comment ids to ADO comment ids using the data-github-comment-id attribute
+ * (or the "View on GitHub" link of comments synced before it was added)
+ * @returns {Map<string, number>} GitHub comment id → ADO comment id
+ */
+async function getAdoCommentsByGithubId(workItemId, env) {
+  const result = new Map();
+
+  try {
+    const client = await getWorkItemClient(env);
+
+    let continuationToken = undefined;
+    do {
+      const page = await client.getComments(env.project, workItemId, 200, continuationToken);
+      for (const adoComment of page?.comments || []) {
+        for (const match of (adoComment.text || '').matchAll(/data-github-comment-id="(\d+)"|issuecomment-(\d+)/g)) {
+          result.set(match[1] || match[2], adoComment.id);
+        }
+      }
+      continuationToken = page?.continuationToken;
+    } while (continuationToken);
+  } catch (error) {
+    console.error(`Error reading existing comments of work item ${workItemId}:`, error.message);
+  }
+
+  return result;
+}
+
+/**
+ * Fetch all comments of an issue (paginated, oldest first)
+ */
+async function fetchIssueComments(vm) {
+  if (!vm.env.ghToken) return [];
+
+  try {
+    const octokit = apiRetry.wrapOctokit(new Octokit({ auth: vm.env.ghToken }));
+    const comments = await octokit.paginate(octokit.issues.listComments, {
+      owner: vm.owner,
+      repo: vm.repository,
+      issue_number: vm.number,
+      per_page: 100
+    });
+
+    return comments.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  } catch (error) {
+    console.error(`Error fetching comments for issue #${vm.number}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Build comment HTML with its attachments copied to the work item
+ */
+async function buildMigratedCommentHtml(workItemId, comment, vm) {
+  const { html, attachments } = await migrateAttachments(buildCommentHtml(comment), vm);
+
+  if (attachments.length > 0) {
+    await updateWorkItemDirect(AttachmentMigrator.buildRelationPatches(attachments), workItemId, vm.env);
+    rememberAttachments(vm, attachments);
+  }
+
+  return html;
+}
+
+/**
+ * Copy GitHub-hosted images and files in HTML to ADO attachments
+ * @returns {Object} { html, attachments } with links rewritten to the ADO copies
+ */
+async function migrateAttachments(html, vm) {
+  if (!config.features.syncAttachments) {
+    return { html, attachments: [] };
+  }
+
+  if (!attachmentMigrator) {
+    attachmentMigrator = new AttachmentMigrator(
+      vm.env.ghToken,
+      vm.env.adoToken,
+      vm.env.orgUrl,
+      vm.env.project,
+      config.attachments
+    );
+  }
+
+  if (dryRunPlan) {
+    attachmentMigrator.findAttachmentUrls(html).forEach(sourceUrl => {
+      dryRunPlan.record(vm.env, { target: 'ado', action: 'uploadAttachment', project: vm.env.project, sourceUrl });
+    });
+    return { html, attachments: [] };
+  }
+
+  const entry = workItemStore ? workItemStore.get(vm.owner, vm.repository, vm.number) : null;
+  return await attachmentMigrator.migrate(html, entry?.attachments || {});
+}
+
+/**
+ * Record migrated attachments on the issue's identity mapping
+ * so later edits reuse the ADO copies instead of uploading again
+ */
+function rememberAttachments(vm, attachments) {
+  if (!workItemStore || dryRunPlan || attachments.length === 0) return;
+
+  const entry = workItemStore.get(vm.owner, vm.repository, vm.number);
+  if (!entry) return;
+
+  entry.attachments = { ...(entry.attachments || {}) };
+  attachments.forEach(attachment => {
+    entry.attachments[attachment.sourceUrl] = attachment.url;
+  });
+  workItemStore.save();
+}
+
+/**
+ * Build formatted HTML for a comment
+ */
+function buildCommentHtml(comment) {
+  const converter = new showdown.Converter({ tables: true });
+  const bodyHtml = converter.makeHtml(comment.body || '');
+
+  let html = '';
+  
+  if (config.comments.includeAuthor) {
+    html += `<strong>@${comment.user?.login || 'unknown'}</strong>`;
+  }
+
+  if (config.comments.includeDate) {
+    const date = new Date(comment.created_at).toLocaleString();
+    html += ` <em>(${date})</em>`;
+  }
+
+  html += '<br/>' + bodyHtml;
+
+  if (config.comments.includeLinkBack && comment.html_url) {
+    html += `<br/><small><a href="${comment.html_url}" target="_blank">View on GitHub</a></small>`;
+  }
+
+  // GitHub comment id, found again by getAdoCommentsByGithubId even without the link back
+  if (comment.id) {
+    html = `<div data-github-comment-id="${comment.id}">${html}</div>`;
+  }
+
+  return html;
+}
+
+/**
+ * Add a comment to a work item (Comments API)
+ * @returns {Object|null} Created ADO comment or null on failure
+ */
+async function addComment(workItemId, commentText, env) {
+  if (dryRunPlan) {
+    dryRunPlan.record(env, { target: 'ado', action: 'addComment', project: env.project, workItemId, text: commentText });
+    return { id: null, workItemId, text: commentText };
+  }
+
+  let client = await getWorkItemClient(env);
+
+  try {
+    return await client.addComment({ text: commentText }, env.project, workItemId);
+  } catch (error) {
+    console.error(`❌ Error adding comment to work item ${workItemId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Update a work item comment (Comments API)
+ * @returns {Object|null} Updated ADO comment or null on failure
+ */
+async function updateComment(workItemId, adoCommentId, commentText, env) {
+  if (dryRunPlan) {
+    dryRunPlan.record(env, { target: 'ado', action: 'updateComment', project: env.project, workItemId, commentId: adoCommentId, text: commentText });
+    return { id: adoCommentId, workItemId, text: commentText };
+  }
+
+  let client = await getWorkItemClient(env);
+
+  try {
+    return await client.updateComment({ text: commentText }, env.project, workItemId, adoCommentId);
+  } catch (error) {
+    console.error(`❌ Error updating comment ${adoCommentId} on work item ${workItemId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a work item comment (Comments API)
+ * @returns {boolean} True if deleted
+ */
+async function deleteComment(workItemId, adoCommentId, env) {
+  if (dryRunPlan) {
+    dryRunPlan.record(env, { target: 'ado', action: 'deleteComment', project: env.project, workItemId, commentId: adoCommentId });
+    return true;
+  }
+
+  let client = await getWorkItemClient(env);
+
+  try {
+    await client.deleteComment(env.project, workItemId, adoCommentId);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting comment ${adoCommentId} on work item ${workItemId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Handle issue_comment events (created, edited, deleted)
+ */
+async function handleCommentAction(vm, workItem) {
+  const comment = {
+    id: vm.comment_id,
+    body: vm.comment_text,
+    user: { login: vm.comment_user || vm.user },
+    created_at: vm.comment_created_at || new Date().toISOString(),
+    html_url: vm.comment_url
+  };
+
+  switch (vm.action) {
+    case "created":
+      if (vm.comment_text) await syncComments(workItem.id, [comment], vm);
+      break;
+
+    case "edited": {
+      const adoCommentId = await findAdoCommentId(workItem.id, comment.id, vm);
+
+      if (!adoCommentId) {
+        console.log('💬 Edited comment was never synced, adding it');
+        await syncComments(workItem.id, [comment], vm);
+        break;
+      }
+
+      console.log(`💬 Updating comment ${adoCommentId}...`);
+      const commentHtml = await buildMigratedCommentHtml(workItem.id, comment, vm);
+      const result = await updateComment(workItem.id, adoCommentId, commentHtml, vm.env);
+
+      if (result && workItemStore && !dryRunPlan) {
+        workItemStore.setComment(vm.owner, vm.repository, vm.number, comment.id, { adoCommentId });
+        workItemStore.save();
+      }
+      break;
+    }
+
+    case "deleted": {
+      const adoCommentId = await findAdoCommentId(workItem.id, comment.id, vm);
+
+      if (!adoCommentId) {
+        console.log('💬 Deleted comment was never synced, nothing to remove');
+        break;
+      }
+
+      console.log(`💬 Deleting comment ${adoCommentId}...`);
+      const deleted = await deleteComment(workItem.id, adoCommentId, vm.env);
+
+      if (deleted && workItemStore && !dryRunPlan) {
+        workItemStore.removeComment(vm.owner, vm.repository, vm.number, comment.id);
+        workItemStore.save();
+      }
+      break;
+    }
+
+    default:
+      console.log(`ℹ️  Unhandled comment action: ${vm.action}`);
+  }
+}
+
+/**
+ * Handle specific GitHub actions (edited, closed, labeled, etc.)
+ */
+async function handleAction(vm, workItem, projectInfo, stateMapper, userMapper) {
+  // issue_comment events
+  if (vm.comment_id) {
+    if (workItem) await handleCommentAction(vm, workItem);
+    return;
+  }
+
+  switch (vm.action) {
+    case "opened":
+      // Already handled in create
+      break;
+
+    case "edited":
+      if (workItem) {
+        workItem = await syncWorkItemType(vm, workItem, projectInfo, stateMapper);
+        await updateWorkItem(vm, workItem, projectInfo, stateMapper, userMapper);
+      }
+      break;
+
+    case "closed":
+      if (workItem) await closeWorkItem(vm, workItem, projectInfo, stateMapper);
+      break;
+
+    case "reopened":
+      if (workItem) await reopenWorkItem(vm, workItem, projectInfo, stateMapper);
+      break;
+
+    case "assigned":
+    case "unassigned":
+      if (workItem) await updateAssignee(vm, workItem, userMapper);
+      break;
+
+    case "labeled":
+      if (workItem) workItem = await syncWorkItemType(vm, workItem, projectInfo, stateMapper);
+      if (workItem && vm.label) await addLabel(vm, workItem);
+      break;
+
+    case "unlabeled":
+      if (workItem) workItem = await syncWorkItemType(vm, workItem, projectInfo, stateMapper);
+      if (workItem && vm.label) await removeLabel(vm, workItem);
+      break;
+
+    case "milestoned":
+    case "demilestoned":
+      if (workItem) await updateMilestone(vm, workItem, projectInfo);
+      break;
+
+    default:
+      console.log(`ℹ️  Unhandled action: ${vm.action}`);
+  }
+}
+
+/**
+ * Update existing work item
+ */
+async function updateWorkItem(vm, workItem, projectInfo, stateMapper, userMapper) {
+  console.log('🔄 Updating work item...');
+
+  const patchDocument = [];
+  const converter = new showdown.Converter({ tables: true });
+
+  // Update title if changed
+  if (config.features.syncTitle) {
+    const newTitle = buildWorkItemTitle(vm);
+    if (workItem.fields["System.Title"] !== newTitle) {
+      patchDocument.push({
+        op: "replace",
+        path: "/fields/System.Title",
+        value: newTitle
+      });
+    }
+  }
+
+  // Update description if changed
+  if (config.features.syncDescription) {
+    const description = await migrateAttachments(converter.makeHtml(vm.body), vm);
+    patchDocument.push({
+      op: "replace",
+      path: "/fields/System.Description",
+      value: description.html
+    });
+    patchDocument.push(...AttachmentMigrator.buildRelationPatches(description.attachments));
+  }
+
+  // Update state based on project status
+  if (config.features.syncProjectStatus && projectInfo) {
+    const projectName = projectsClient.getProjectName(projectInfo);
+    const projectStatus = projectsClient.getProjectStatus(projectInfo);
+    const adoState = stateMapper.getAdoState(workItem.fields["System.WorkItemType"], vm.state, projectName, projectStatus);
+    
+    if (workItem.fields["System.State"] !== adoState) {
+      patchDocument.push({
+        op: "replace",
+        path: "/fields/System.State",
+        value: adoState
+      });
+    }
+  }
+
+  // Milestone (bulk re-runs pick up changes made since the last run)
+  patchDocument.push(...await buildMilestonePatches(vm, workItem, projectInfo));
+
+  // Add history entry
+  patchDocument.push({
+    op: "add",
+    path: "/fields/System.History",
+    value: `Issue updated on GitHub by ${vm.user}`
+  });
+
+  if (patchDocument.length > 0) {
+    return await updateWorkItemState(vm, workItem, patchDocument, stateMapper);
+  }
+
+  return workItem;
+}
+
+/**
+ * Close work item
+ */
+async function closeWorkItem(vm, workItem, projectInfo, stateMapper) {
+  const projectName = projectInfo ? projectsClient.getProjectName(projectInfo) : null;
+
+  // Closed in ADO first (e.g. "Removed"), keep that state
+  if (isWorkItemInIssueState(workItem, "closed", projectName, stateMapper)) {
+    console.log(`ℹ️  Work item already closed (${workItem.fields["System.State"]}), skipping`);
+    return workItem;
+  }
+
+  console.log('🔒 Closing work item...');
+
+  const closedState = stateMapper.getAdoState(
+    workItem.fields["System.WorkItemType"],
+    "closed",
+    projectName,
+    "In Production" // Assume production when closed
+  );
+
+  const patchDocument = [
+    {
+      op: "replace",
+      path: "/fields/System.State",
+      value: closedState
+    },
+    {
+      op: "add",
+      path: "/fields/System.History",
+      value: `Issue closed on GitHub by ${vm.user}`
+    }
+  ];
+
+  // Add closed date if configured
+  if (config.features.syncDates && vm.closed_at && vm.env.bypassRules) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.ClosedDate",
+      value: vm.closed_at
+    });
+  }
+
+  return await updateWorkItemState(vm, workItem, patchDocument, stateMapper);
+}
+
+/**
+ * Reopen work item
+ */
+async function reopenWorkItem(vm, workItem, projectInfo, stateMapper) {
+  const projectName = projectInfo ? projectsClient.getProjectName(projectInfo) : null;
+  const projectStatus = projectInfo ? projectsClient.getProjectStatus(projectInfo) : null;
+
+  // Reopened in ADO first (e.g. "Committed"), keep that state
+  if (isWorkItemInIssueState(workItem, "open", projectName, stateMapper)) {
+    console.log(`ℹ️  Work item already open (${workItem.fields["System.State"]}), skipping`);
+    return workItem;
+  }
+
+  console.log('🔓 Reopening work item...');
+  
+  const reopenedState = stateMapper.getAdoState(
+    workItem.fields["System.WorkItemType"],
+    "open",
+    projectName,
+    projectStatus || "No status"
+  );
+
+  const patchDocument = [
+    {
+      op: "replace",
+      path: "/fields/System.State",
+      value: reopenedState
+    },
+    {
+      op: "add",
+      path: "/fields/System.History",
+      value: `Issue reopened on GitHub by ${vm.user}`
+    }
+  ];
+
+  return await updateWorkItemState(vm, workItem, patchDocument, stateMapper);
+}
+
+/**
+ * Check if the work item's state maps back to the given issue state
+ * (same reverse mapping as adoWebhookReceiver)
+ * @param {string} issueState - "open" or "closed"
+ */
+function isWorkItemInIssueState(workItem, issueState, projectName, stateMapper) {
+  const adoState = workItem.fields["System.State"];
+
+  if (config.reverseSync.closedStateReasons[adoState]) {
+    return issueState === "closed";
+  }
+
+  const githubState = stateMapper.getGithubState(workItem.fields["System.WorkItemType"], adoState, projectName);
+  return githubState?.issueState === issueState;
+}
+
+/**
+ * Update assignee
+ */
+async function updateAssignee(vm, workItem, userMapper) {
+  console.log('👤 Updating assignee...');
+
+  const { assignment, patches } = buildAssigneePatches(vm, workItem, userMapper);
+
+  // Child task check needs the relations, which the update response doesn't have
+  await syncAdditionalAssignees(vm, workItem, assignment);
+
+  if (patches.length > 0) {
+    return await updateWorkItemDirect(patches, workItem.id, vm.env);
+  }
+
+  return workItem;
+}
+
+/**
+ * Map the issue's assignees and build the patches for them (config.userMapping)
+ * The first mapped assignee becomes Assigned To; unmapped assignees get the unmappedUsers actions
+ * and, with the "field" strategy, the other assignees go to the co-assignee field
+ * @param {Object|null} workItem - Existing work item, null when creating
+ * @returns {Object} { assignment (UserMapper.resolveAssignees), patches }
+ */
+function buildAssigneePatches(vm, workItem, userMapper) {
+  const { unmappedUsers, additionalAssignees } = config.userMapping;
+  const assignment = userMapper.resolveAssignees(vm.assignees, unmappedUsers);
+  const fields = workItem?.fields || {};
+  const op = workItem ? "replace" : "add";
+  const patches = [];
+
+  if (assignment.unmapped.length > 0) {
+    console.log(`⚠️  No ADO user for GitHub assignees: ${assignment.unmapped.join(', ')}`);
+
+    if (unmappedUsers.actions.includes('fail')) {
+      throw new Error(`No ADO user mapping for GitHub assignees ${assignment.unmapped.join(', ')} of issue #${vm.number}`);
+    }
+  }
+
+  if (assignment.assignedTo) {
+    console.log(`👤 Assigned to: ${assignment.assignedTo}${assignment.usedDefault ? ' (default assignee)' : ''}`);
+    patches.push({ op, path: "/fields/System.AssignedTo", value: assignment.assignedTo });
+  } else if (workItem && (vm.assignees || []).length === 0) {
+    patches.push({ op: "remove", path: "/fields/System.AssignedTo" });
+  }
+
+  // Tag while an assignee is unmapped
+  if (unmappedUsers.actions.includes('tag')) {
+    const currentTags = fields["System.Tags"] || "";
+    const tags = currentTags.split("; ").filter(tag => tag && tag !== unmappedUsers.tag);
+    if (assignment.unmapped.length > 0) tags.push(unmappedUsers.tag);
+
+    const newTags = tags.join("; ");
+    if (newTags !== currentTags) {
+      patches.push({ op, path: "/fields/System.Tags", value: newTags });
+    }
+  }
+
+  if (assignment.unmapped.length > 0 && unmappedUsers.actions.includes('history')) {
+    const assignedTo = assignment.usedDefault ? `, assigned to ${assignment.assignedTo}` : '';
+    patches.push({
+      op: "add",
+      path: "/fields/System.History",
+      value: `No ADO user for GitHub assignees ${assignment.unmapped.join(', ')}${assignedTo} (assigned on GitHub by ${vm.sender_login || vm.user})`
+    });
+  }
+
+  if (additionalAssignees.strategy === 'field') {
+    const value = assignment.additional.join('; ');
+
+    if (value && value !== fields[additionalAssignees.field]) {
+      patches.push({ op, path: `/fields/${additionalAssignees.field}`, value });
+    } else if (!value && fields[additionalAssignees.field]) {
+      patches.push({ op: "remove", path: `/fields/${additionalAssignees.field}` });
+    }
+  }
+
+  return { assignment, patches };
+}
+
+/**
+ * Add patches to a patch document, appending tags and history to the ones already in it
+ * (one update keeps only the last value written to a field)
+ */
+function mergePatches(patchDocument, patches) {
+  const separators = { "/fields/System.Tags": "; ", "/fields/System.History": "<br>" };
+
+  patches.forEach(patch => {
+    const existing = separators[patch.path] && patch.op !== "remove"
+      ? patchDocument.find(other => other.path === patch.path && other.op !== "remove")
+      : null;
+
+    if (existing) {
+      existing.value = `${existing.value}${separators[patch.path]}${patch.value}`;
+    } else {
+      patchDocument.push(patch);
+    }
+  });
+}
+
+/**
+ * Carry the assignees after the first over to ADO with the "comment" or "childTasks" strategy
+ * ("field" is written by buildAssigneePatches)
+ */
+async function syncAdditionalAssignees(vm, workItem, assignment) {
+  if (!workItem || workItem === -1 || assignment.additional.length === 0) return;
+
+  switch (config.userMapping.additionalAssignees.strategy) {
+    case "comment":
+      await addComment(workItem.id, `Also assigned on GitHub: ${assignment.additional.join(', ')}`, vm.env);
+      break;
+
+    case "childTasks":
+      await createAssigneeTasks(vm, workItem, assignment.additional);
+      break;
+  }
+}
+
+/**
+ * Create a child work item for each additional assignee that doesn't have one yet
+ */
+async function createAssigneeTasks(vm, workItem, adoUsers) {
+  const childType = config.userMapping.additionalAssignees.childType;
+  const existing = await getChildAssignees(workItem, vm.env);
+  const missing = adoUsers.filter(adoUser => !existing.has(adoUser.toLowerCase()));
+
+  for (const adoUser of missing) {
+    const patchDocument = [
+      { op: "add", path: "/fields/System.Title", value: `${buildWorkItemTitle(vm)} (${adoUser})` },
+      { op: "add", path: "/fields/System.AssignedTo", value: adoUser },
+      {
+        op: "add",
+        path: "/relations/-",
+        value: { rel: "System.LinkTypes.Hierarchy-Reverse", url: buildWorkItemUrl(vm.env, workItem.id) }
+      },
+      {
+        op: "add",
+        path: "/fields/System.History",
+        value: `GitHub <a href="${vm.url}" target="_new">#${vm.number}</a> co-assignee ${adoUser}`
+      }
+    ];
+
+    if (vm.env.areaPath) {
+      patchDocument.push({ op: "add", path: "/fields/System.AreaPath", value: vm.env.areaPath });
+    }
+
+    const taskEnv = { ...vm.env, wit: childType };
+    if (dryRunPlan) dryRunPlan.attachEnv(taskEnv, vm);
+
+    const task = await executeWorkItemCreate(patchDocument, taskEnv);
+    if (task && task !== -1) {
+      console.log(`👥 ${childType} ${task.id} created for co-assignee ${adoUser}`);
+    }
+  }
+}
+
+/**
+ * Get the assignees of a work item's children (lowercase)
+ */
+async function getChildAssignees(workItem, env) {
+  const childIds = (workItem.relations || [])
+    .filter(relation => relation.rel === "System.LinkTypes.Hierarchy-Forward")
+    .map(relation => parseInt(relation.url.split('/').pop()))
+    .filter(id => id > 0);
+
+  if (childIds.length === 0 || dryRunPlan) return new Set();
+
+  try {
+    const client = await getWorkItemClient(env);
+    const children = await client.getWorkItems(childIds, ["System.AssignedTo"]);
+
+    return new Set(children
+      .map(child => child.fields["System.AssignedTo"])
+      .filter(assignedTo => assignedTo)
+      .map(assignedTo => (assignedTo.uniqueName || assignedTo).toLowerCase()));
+  } catch (error) {
+    console.error(`Error loading child work items of ${workItem.id}:`, error.message);
+    return new Set();
+  }
+}
+
+/**
+ * Apply milestone change (milestoned / demilestoned)
+ */
+async function updateMilestone(vm, workItem, projectInfo) {
+  if (!config.features.syncMilestones) return workItem;
+
+  console.log(`🏁 Milestone: ${vm.milestone ? vm.milestone.title : '(none)'}`);
+
+  const patchDocument = await buildMilestonePatches(vm, workItem, projectInfo);
+
+  if (patchDocument.length === 0) {
+    console.log('  Milestone already up to date');
+    return workItem;
+  }
+
+  patchDocument.push({
+    op: "add",
+    path: "/fields/System.History",
+    value: vm.milestone
+      ? `Milestone set to "${vm.milestone.title}" on GitHub by ${vm.sender_login}`
+      : `Milestone removed on GitHub by ${vm.sender_login}`
   });
 
-  // === AREA PATH ===
-  //const areaPath = stateMapper.getAreaPath(projectName);
-  console.log(` vm.env.areaPath "${vm.env.areaPath}"`)
-  const areaPath = vm.env.areaPAth
-  if (areaPath) {
-    patchDocument.push({
-      op: "add",
-      path: "/fields/System.AreaPath",
-      value: areaPath
-    });
+  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+}
+
+/**
+ * Build patches applying the issue's milestone (config.milestones.strategy)
+ * @param {Object|null} workItem - Existing work item, null when creating
+ * @returns {Array<Object>} Patches (empty if nothing changes)
+ */
+async function buildMilestonePatches(vm, workItem, projectInfo) {
+  if (!config.features.syncMilestones) return [];
+
+  const milestone = vm.milestone;
+  const fields = workItem ? workItem.fields || {} : {};
+  const op = workItem ? "replace" : "add";
+
+  switch (config.milestones.strategy) {
+    case "iteration": {
+      // Sprint from GitHub Projects takes precedence
+      if (config.features.syncIterations && projectInfo && projectsClient.getSprintInfo(projectInfo)) return [];
+      if (!milestone && !workItem) return [];
+
+      let iterationPath = null;
+
+      if (milestone) {
+        iterationPath = await getMilestoneIterationPath(vm, milestone);
+      } else {
+        // Without a milestone, only undo a milestone's iteration (not one set by hand in ADO)
+        const defaultPath = vm.env.iterationPath || vm.env.project;
+        const currentPath = fields["System.IterationPath"];
+
+        if (currentPath === defaultPath) return [];
+        if (vm.action !== "demilestoned" && !(await isMilestoneIteration(vm, currentPath))) return [];
+
+        iterationPath = defaultPath;
+      }
+
+      if (!iterationPath || fields["System.IterationPath"] === iterationPath) return [];
+      return [{ op, path: "/fields/System.IterationPath", value: iterationPath }];
+    }
+
+    case "tag": {
+      // New work items get the tag from buildTagsString()
+      if (!workItem) return [];
+
+      const currentTags = fields["System.Tags"] || "";
+      const tags = currentTags
+        .split("; ")
+        .filter(tag => tag && !tag.startsWith(config.milestones.tagPrefix));
+
+      if (milestone) tags.push(getMilestoneTag(milestone));
+
+      const newTags = tags.join("; ");
+      if (newTags === currentTags) return [];
+      return [{ op: "replace", path: "/fields/System.Tags", value: newTags }];
+    }
+
+    case "targetDate": {
+      const field = config.milestones.targetDateField;
+
+      if (milestone && milestone.due_on) {
+        if (fields[field] && new Date(fields[field]).getTime() === new Date(milestone.due_on).getTime()) return [];
+        return [{ op: fields[field] ? "replace" : "add", path: `/fields/${field}`, value: milestone.due_on }];
+      }
+
+      return fields[field] ? [{ op: "remove", path: `/fields/${field}` }] : [];
+    }
+
+    default:
+      console.log(`⚠️  Unknown milestone strategy: ${config.milestones.strategy}`);
+      return [];
+  }
+}
+
+/**
+ * Get (and create if needed) the iteration of a milestone
+ * The iteration ends on the milestone's due date
+ */
+async function getMilestoneIterationPath(vm, milestone) {
+  const { startDate, endDate } = getMilestoneDates(vm, milestone);
+
+  if (!startDate && vm.iterationCreator.usesDates()) {
+    console.log(`⚠️  Milestone '${milestone.title}' has no due date, iterations.nameTemplate needs one, iteration not set`);
+    return null;
+  }
+
+  if (config.iterations.autoCreate && dryRunPlan) {
+    if (!(await vm.iterationCreator.iterationExists(milestone.title, startDate))) {
+      dryRunPlan.record(vm.env, {
+        target: 'ado',
+        action: 'createIteration',
+        milestone: milestone.title,
+        path: vm.iterationCreator.getIterationPath(milestone.title, startDate),
+        startDate,
+        endDate
+      });
+    }
+  } else if (config.iterations.autoCreate) {
+    await vm.iterationCreator.createIteration(milestone.title, startDate, endDate);
+  }
+
+  return vm.iterationCreator.getIterationPath(milestone.title, startDate);
+}
+
+/**
+ * Dates of a milestone's iteration (null without a due date)
+ * Also sets up vm.iterationCreator
+ */
+function getMilestoneDates(vm, milestone) {
+  if (!vm.iterationCreator) {
+    vm.iterationCreator = new IterationCreator(
+      vm.env.adoToken,
+      vm.env.organization,
+      vm.env.project,
+      config.iterations
+    );
+  }
+
+  let startDate = null;
+  let endDate = null;
+
+  if (milestone.due_on) {
+    endDate = new Date(milestone.due_on);
+    startDate = new Date(endDate);
+    startDate.setDate(startDate.getDate() - config.milestones.iterationDuration);
+  }
+
+  return { startDate, endDate };
+}
+
+/**
+ * Check if an iteration path is the iteration of one of the repository's milestones
+ * (open or closed), i.e. one this tool set. The milestones are listed once per run
+ */
+async function isMilestoneIteration(vm, iterationPath) {
+  if (!iterationPath || !vm.env.ghToken || !vm.owner || !vm.repository) return false;
+
+  const repoKey = `${vm.owner}/${vm.repository}`.toLowerCase();
+
+  if (!milestoneIterationPaths.has(repoKey)) {
+    try {
+      const octokit = apiRetry.wrapOctokit(new Octokit({ auth: vm.env.ghToken }));
+      const milestones = await octokit.paginate(octokit.issues.listMilestones, {
+        owner: vm.owner,
+        repo: vm.repository,
+        state: 'all',
+        per_page: 100
+      });
+
+      const paths = milestones
+        .map(milestone => {
+          const { startDate } = getMilestoneDates(vm, milestone);
+          return vm.iterationCreator.getIterationPath(milestone.title, startDate);
+        })
+        .filter(Boolean)
+        .map(path => path.toLowerCase());
+
+      milestoneIterationPaths.set(repoKey, new Set(paths));
+    } catch (error) {
+      console.error(`Error loading milestones of ${repoKey}:`, error.message);
+      return false;
+    }
+  }
+
+  return milestoneIterationPaths.get(repoKey).has(iterationPath.toLowerCase());
+}
+
+/**
+ * Tag for a milestone ("tag" strategy)
+ */
+function getMilestoneTag(milestone) {
+  return `${config.milestones.tagPrefix}${milestone.title}`;
+}
+
+/**
+ * Add label (tag)
+ */
+async function addLabel(vm, workItem) {
+  console.log(`🏷️  Adding label: ${vm.label}`);
+
+  let currentTags = workItem.fields["System.Tags"] || "";
+  
+  // Check if label already exists
+  if (currentTags.includes(vm.label)) {
+    console.log('  Label already exists');
+    return workItem;
+  }
+
+  // Add label
+  if (currentTags) {
+    currentTags += "; " + vm.label;
+  } else {
+    currentTags = vm.label;
+  }
+
+  const patchDocument = [{
+    op: "replace",
+    path: "/fields/System.Tags",
+    value: currentTags
+  }];
+
+  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+}
+
+/**
+ * Remove label (tag)
+ */
+async function removeLabel(vm, workItem) {
+  console.log(`🏷️  Removing label: ${vm.label}`);
+
+  let currentTags = workItem.fields["System.Tags"] || "";
+  
+  if (!currentTags.includes(vm.label)) {
+    console.log('  Label not found');
+    return workItem;
   }
 
-  // === ITERATION PATH ===
-  if (config.features.syncIterations && projectInfo) {
-    const iterationPath = await handleIteration(vm, projectInfo, stateMapper);
-    if (iterationPath) {
-      patchDocument.push({
-        op: "add",
-        path: "/fields/System.IterationPath",
-        value: iterationPath
-      });
-    }
+  // Remove label
+  currentTags = currentTags
+    .split("; ")
+    .filter(tag => tag !== vm.label)
+    .join("; ");
+
+  const patchDocument = [{
+    op: "replace",
+    path: "/fields/System.Tags",
+    value: currentTags
+  }];
+
+  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+}
+
+/**
+ * Handle pull request actions on an existing PR work item
+ */
+async function handlePullRequestAction(vm, workItem, issueWorkItemIds, stateMapper, userMapper) {
+  switch (vm.action) {
+    case "opened":
+    case "edited":
+    case "closed":
+    case "reopened":
+    case "ready_for_review":
+    case "converted_to_draft":
+      await updatePullRequestWorkItem(vm, workItem, issueWorkItemIds, stateMapper);
+      break;
+
+    case "review_requested":
+    case "review_request_removed":
+      await syncPullRequestReviewers(vm, workItem, userMapper);
+      break;
+
+    case "assigned":
+    case "unassigned":
+      await updateAssignee(vm, workItem, userMapper);
+      break;
+
+    default:
+      console.log(`ℹ️  Unhandled pull request action: ${vm.action}`);
   }
+}
 
-  // === ASSIGNEE ===
-  if (config.features.syncAssignees && assignedTo) {
+/**
+ * Create work item for a pull request
+ * @param {Array<number>} issueWorkItemIds - Work items of the issues the PR closes
+ */
+async function createPullRequestWorkItem(vm, issueWorkItemIds, stateMapper, userMapper) {
+  if (config.logging.level >= 200) console.log('Creating pull request work item...');
+
+  const converter = new showdown.Converter({ tables: true });
+  const description = await migrateAttachments(converter.makeHtml(vm.body), vm);
+
+  const adoState = getPullRequestAdoState(vm);
+  console.log(`🎯 ADO State: ${adoState}`);
+
+  let patchDocument = [];
+
+  if (config.features.syncTitle) {
     patchDocument.push({
       op: "add",
-      path: "/fields/System.AssignedTo",
-      value: assignedTo
+      path: "/fields/System.Title",
+      value: buildWorkItemTitle(vm)
     });
   }
 
-  // === DATES (requires bypassRules) ===
-  if (config.features.syncDates && vm.env.bypassRules) {
-    // Created date
+  if (config.features.syncDescription) {
     patchDocument.push({
       op: "add",
-      path: "/fields/System.CreatedDate",
-      value: vm.created_at
+      path: "/fields/System.Description",
+      value: description.html
     });
+  }
 
-    // Closed date if applicable
-    if (vm.closed_at) {
-      patchDocument.push({
-        op: "add",
-        path: "/fields/System.ClosedDate",
-        value: vm.closed_at
-      });
-    }
-
-    // Created by
+  if (config.features.syncState && adoState) {
     patchDocument.push({
       op: "add",
-      path: "/fields/System.CreatedBy",
-      value: vm.user
+      path: "/fields/System.State",
+      value: adoState
     });
   }
 
-  // === CUSTOM FIELDS MAPPING ===
-  if (projectInfo && projectInfo.fields) {
-    const customFieldPatches = mapCustomFields(vm, projectInfo, vm.env.wit);
-    patchDocument.push(...customFieldPatches);
+  if (config.features.syncLabels) {
+    patchDocument.push({
+      op: "add",
+      path: "/fields/System.Tags",
+      value: buildTagsString(vm)
+    });
   }
 
-  // === PRIORITY FROM LABELS ===
-  const priority = getPriorityFromLabels(vm.labels || []);
-  if (priority) {
+  // Identity key for find()
+  if (config.identity.adoField) {
     patchDocument.push({
       op: "add",
-      path: "/fields/Microsoft.VSTS.Common.Priority",
-      value: priority
+      path: `/fields/${config.identity.adoField}`,
+      value: WorkItemStore.buildKey(vm.owner, vm.repository, vm.number)
     });
   }
 
-  // === STORY POINTS / EFFORT ===
-  if (vm.defaultStoryPoints) {
+  // Hyperlink back to GitHub
+  patchDocument.push({
+    op: "add",
+    path: "/relations/-",
+    value: {
+      rel: "Hyperlink",
+      url: vm.url
+    }
+  });
+
+  patchDocument.push(...AttachmentMigrator.buildRelationPatches(description.attachments));
+
+  // Issues closed by the PR
+  patchDocument.push(...buildIssueLinkPatches(vm, issueWorkItemIds));
+
+  patchDocument.push({
+    op: "add",
+    path: "/fields/System.History",
+    value: `GitHub <a href="${vm.url}" target="_new">pull request #${vm.number}</a> (${vm.head_ref} → ${vm.base_ref}) created in <a href="${vm.repo_url}" target="_new">${vm.repo_fullname}</a> by ${vm.user}`
+  });
+
+  if (vm.env.areaPath) {
     patchDocument.push({
       op: "add",
-      path: "/fields/Microsoft.VSTS.Scheduling.StoryPoints",
-      value: parseFloat(vm.defaultStoryPoints)
+      path: "/fields/System.AreaPath",
+      value: vm.env.areaPath
     });
   }
 
-  // === HIERARCHY (PARENT-CHILD) ===
-  if (config.features.syncHierarchy && vm.parent_id) {
+  const assignees = config.features.syncAssignees
+    ? buildAssigneePatches(vm, null, userMapper)
+    : { assignment: null, patches: [] };
+  mergePatches(patchDocument, assignees.patches);
+
+  if (config.features.syncDates && vm.env.bypassRules) {
     patchDocument.push({
       op: "add",
-      path: "/relations/-",
-      value: {
-        rel: config.hierarchy.linkType,
-        url: `https://dev.azure.com/${vm.env.organization}/${vm.env.project}/_apis/wit/workitems/${vm.parent_id}`
-      }
+      path: "/fields/System.CreatedDate",
+      value: vm.created_at
     });
+
+    if (vm.closed_at) {
+      patchDocument.push({
+        op: "add",
+        path: "/fields/System.ClosedDate",
+        value: vm.merged_at || vm.closed_at
+      });
+    }
   }
 
-  // Log patch document if verbose
   if (config.logging.level >= 300) {
     console.log("Patch document:");
     console.log(JSON.stringify(patchDocument, null, 2));
   }
 
-  // === CREATE WORK ITEM ===
-  const workItem = await executeWorkItemCreate(patchDocument, vm.env);
-  
-  // === SYNC COMMENTS ===
-  if (workItem && config.features.syncComments && vm.comments && vm.comments.length > 0) {
-    await syncComments(workItem.id, vm.comments, vm.env);
-  }
+  const workItem = await createWorkItemWithState(vm, patchDocument, stateMapper);
 
-  // === ADD CUSTOM FIELDS AS COMMENT ===
-  if (workItem && config.customFields.writeToComments && projectInfo) {
-    const customFieldsComment = projectsClient.formatCustomFieldsComment(projectInfo);
-    if (customFieldsComment) {
-      await addComment(workItem.id, customFieldsComment, vm.env);
+  if (workItem && workItem !== -1) {
+    rememberWorkItem(vm, workItem.id, 'created');
+    rememberAttachments(vm, description.attachments);
+
+    if (assignees.assignment) {
+      await syncAdditionalAssignees(vm, workItem, assignees.assignment);
+    }
+
+    if (vm.reviewers.length > 0) {
+      await syncPullRequestReviewers(vm, workItem, userMapper);
     }
   }
 
@@ -561,462 +2708,476 @@ async function createWorkItem(vm, projectInfo, stateMapper, userMapper) {
 }
 
 /**
- * Build tags string from labels and repo name
+ * Update pull request work item (title, description, merged/closed state, issue links)
  */
-function buildTagsString(vm) {
-  const tags = [];
+async function updatePullRequestWorkItem(vm, workItem, issueWorkItemIds, stateMapper) {
+  console.log('🔄 Updating pull request work item...');
 
-  // Add repo identifier
-  tags.push("GitHub Issue");
-  tags.push(vm.repo_name);
-  
-  // Add issue number tag
-  tags.push(`GH-${vm.number}`);
+  const patchDocument = [];
 
-  // Add all labels if configured
-  if (config.labels.allAsTags && vm.labels && Array.isArray(vm.labels)) {
-    vm.labels.forEach(label => {
-      // Skip labels that map to priority (they're handled separately)
-      if (!config.labels.priorityLabels[label]) {
-        tags.push(label);
-      }
-    });
+  if (config.features.syncTitle) {
+    const newTitle = buildWorkItemTitle(vm);
+    if (workItem.fields["System.Title"] !== newTitle) {
+      patchDocument.push({
+        op: "replace",
+        path: "/fields/System.Title",
+        value: newTitle
+      });
+    }
   }
 
-  // Join with semicolon and space
-  return tags.join("; ");
-}
+  if (config.features.syncDescription && vm.action === "edited") {
+    const converter = new showdown.Converter({ tables: true });
+    const description = await migrateAttachments(converter.makeHtml(vm.body), vm);
+    patchDocument.push({
+      op: "replace",
+      path: "/fields/System.Description",
+      value: description.html
+    });
+    patchDocument.push(...AttachmentMigrator.buildRelationPatches(description.attachments));
+    rememberAttachments(vm, description.attachments);
+  }
 
-/**
- * Get priority value from labels
- */
-function getPriorityFromLabels(labels) {
-  if (!labels || !Array.isArray(labels)) return null;
+  const adoState = getPullRequestAdoState(vm);
+  if (config.features.syncState && adoState && workItem.fields["System.State"] !== adoState) {
+    console.log(`🎯 ADO State: ${workItem.fields["System.State"]} → ${adoState}`);
+    patchDocument.push({
+      op: "replace",
+      path: "/fields/System.State",
+      value: adoState
+    });
 
-  for (const label of labels) {
-    if (config.labels.priorityLabels[label]) {
-      return config.labels.priorityLabels[label];
+    if (config.features.syncDates && vm.closed_at && vm.env.bypassRules) {
+      patchDocument.push({
+        op: "add",
+        path: "/fields/System.ClosedDate",
+        value: vm.merged_at || vm.closed_at
+      });
     }
   }
 
-  return null;
-}
+  // "Fixes #N" added while editing the PR
+  patchDocument.push(...buildIssueLinkPatches(vm, issueWorkItemIds, workItem.relations || []));
 
-/**
- * Map custom fields from GitHub Projects to ADO fields
- */
-function mapCustomFields(vm, projectInfo, workItemType) {
-  const patches = [];
+  if (patchDocument.length === 0) {
+    console.log('  Work item already up to date');
+    return workItem;
+  }
 
-  if (!projectInfo || !projectInfo.fields) return patches;
+  const action = vm.action === "closed" && vm.merged ? "merged" : vm.action.replace(/_/g, ' ');
+  patchDocument.push({
+    op: "add",
+    path: "/fields/System.History",
+    value: `Pull request ${action} on GitHub by ${vm.sender_login}`
+  });
 
-  // Iterate through custom field mappings
-  for (const [fieldName, mapping] of Object.entries(config.customFields.mappings)) {
-    const value = projectInfo.fields[fieldName];
-    
-    if (!value) continue; // Skip if field not present
+  return await updateWorkItemState(vm, workItem, patchDocument, stateMapper);
+}
 
-    // Check if this field should only apply to certain work item types
-    if (mapping.workItemTypes && !mapping.workItemTypes.includes(workItemType)) {
-      continue;
-    }
+/**
+ * Get the ADO state for a pull request (config.pullRequests.stateMapping)
+ * Closed PRs map to "merged" or "closed" depending on whether they were merged
+ */
+function getPullRequestAdoState(vm) {
+  const prState = vm.merged ? "merged" : vm.state;
+  return config.pullRequests.stateMapping[prState] || null;
+}
 
-    // If there's an ADO field mapping
-    if (mapping.adoField) {
-      let mappedValue = value;
+/**
+ * Post the PR's requested reviewers as a work item comment
+ * Reviewers are mapped to ADO users when configured; work items have no reviewer field
+ */
+async function syncPullRequestReviewers(vm, workItem, userMapper) {
+  if (!config.features.syncReviewers || !config.pullRequests.reviewers.addAsComment) return null;
 
-      // Apply value mapping if present
-      if (mapping.mapping && mapping.mapping[value] !== undefined) {
-        mappedValue = mapping.mapping[value];
-      }
+  console.log(`👀 Syncing reviewers: ${vm.reviewers.join(', ') || '(none)'}`);
 
-      patches.push({
-        op: "add",
-        path: `/fields/${mapping.adoField}`,
-        value: mappedValue
-      });
+  const reviewers = vm.reviewers.map(login => {
+    const adoUser = config.pullRequests.reviewers.mapToOptional ? userMapper.getAdoUser(login) : null;
+    return adoUser ? `${adoUser} (@${login})` : `@${login}`;
+  });
 
-      console.log(`  📋 Mapped ${fieldName} → ${mapping.adoField}: ${mappedValue}`);
-    }
-  }
+  const commentHtml = reviewers.length > 0
+    ? `<p><strong>Reviewers requested on GitHub:</strong> ${reviewers.join(', ')}</p>`
+    : `<p><strong>Reviewers requested on GitHub:</strong> none</p>`;
 
-  return patches;
+  return await addComment(workItem.id, commentHtml, vm.env);
 }
 
 /**
- * Handle iteration/sprint creation and mapping
+ * Find issue numbers a PR closes ("Fixes #N", "Closes owner/repo#N", "Resolves <issue URL>")
+ * Only issues of the PR's own repository are returned
+ * @returns {Array<number>} Unique issue numbers in order of appearance
  */
-async function handleIteration(vm, projectInfo, stateMapper) {
-  const sprintInfo = projectsClient.getSprintInfo(projectInfo);
-  
-  if (!sprintInfo) return null;
+function findLinkedIssueNumbers(vm) {
+  const pattern = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+(?:#(\d+)|([\w.-]+)\/([\w.-]+)#(\d+)|https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/issues\/(\d+))/gi;
+  const text = `${vm.title}\n${vm.body}`;
+  const numbers = [];
 
-  console.log(`📅 Sprint: ${sprintInfo.name}`);
+  for (const match of text.matchAll(pattern)) {
+    const owner = match[2] || match[5] || vm.owner;
+    const repo = match[3] || match[6] || vm.repository;
+    const number = parseInt(match[1] || match[4] || match[7]);
 
-  // Initialize iteration creator if not already done
-  if (!vm.iterationCreator) {
-    vm.iterationCreator = new IterationCreator(
-      vm.env.adoToken,
-      vm.env.organization,
-      vm.env.project
-    );
-  }
+    if (owner.toLowerCase() !== vm.owner.toLowerCase() || repo.toLowerCase() !== vm.repository.toLowerCase()) {
+      continue;
+    }
 
-  // Create iteration if it doesn't exist and auto-create is enabled
-  if (config.iterations.autoCreate) {
-    await vm.iterationCreator.createFromSprintInfo(sprintInfo, config.iterations.defaultDuration);
+    if (number !== vm.number && !numbers.includes(number)) {
+      numbers.push(number);
+    }
   }
 
-  // Return iteration path
-  return vm.iterationCreator.getIterationPath(sprintInfo.name);
+  return numbers;
 }
 
 /**
- * Sync all comments from GitHub issue to ADO work item
+ * Resolve the work items of the issues a PR closes
+ * @returns {Array<number>} Work item ids (issues without a work item are skipped)
  */
-async function syncComments(workItemId, comments, env) {
-  if (!comments || comments.length === 0) return;
+async function resolveLinkedIssueWorkItems(vm) {
+  const workItemIds = [];
 
-  console.log(`💬 Syncing ${comments.length} comments...`);
+  for (const number of findLinkedIssueNumbers(vm)) {
+    const workItem = await findIssueWorkItem(vm, { owner: vm.owner, repo: vm.repository, number });
 
-  for (const comment of comments) {
-    try {
-      const commentHtml = buildCommentHtml(comment);
-      await addComment(workItemId, commentHtml, env);
-      
-      // Rate limiting
-      await delay(200);
-    } catch (error) {
-      console.error(`Error syncing comment:`, error.message);
+    if (workItem) {
+      console.log(`🔗 PR #${vm.number} closes issue #${number} (work item ${workItem.id})`);
+      workItemIds.push(workItem.id);
+    } else {
+      console.log(`  Issue #${number} has no work item, not linking`);
     }
   }
+
+  return workItemIds;
 }
 
 /**
- * Build formatted HTML for a comment
+ * Build relation patches linking a PR work item to the issues it closes
+ * The first issue becomes the parent (config.hierarchy.linkType), others are related,
+ * since a work item can only have one parent
+ * @param {Array<Object>} relations - Existing relations of the PR work item
  */
-function buildCommentHtml(comment) {
-  const converter = new showdown.Converter({ tables: true });
-  const bodyHtml = converter.makeHtml(comment.body || '');
-
-  let html = '';
-  
-  if (config.comments.includeAuthor) {
-    html += `<strong>@${comment.user?.login || 'unknown'}</strong>`;
-  }
+function buildIssueLinkPatches(vm, issueWorkItemIds, relations = []) {
+  const linkedIds = relations.map(getRelationTargetId).filter(id => id !== null);
+  let hasParent = relations.some(relation => relation.rel === config.hierarchy.linkType);
 
-  if (config.comments.includeDate) {
-    const date = new Date(comment.created_at).toLocaleString();
-    html += ` <em>(${date})</em>`;
-  }
+  return issueWorkItemIds
+    .filter(workItemId => !linkedIds.includes(workItemId))
+    .map(workItemId => {
+      const rel = hasParent ? "System.LinkTypes.Related" : config.hierarchy.linkType;
+      hasParent = true;
 
-  html += '<br/>' + bodyHtml;
+      return {
+        op: "add",
+        path: "/relations/-",
+        value: {
+          rel,
+          url: buildWorkItemUrl(vm.env, workItemId),
+          attributes: {
+            comment: `Closed by GitHub PR #${vm.number}`
+          }
+        }
+      };
+    });
+}
 
-  if (config.comments.includeLinkBack && comment.html_url) {
-    html += `<br/><small><a href="${comment.html_url}" target="_blank">View on GitHub</a></small>`;
-  }
+/**
+ * Link a PR on the work item of an issue it closes (development link)
+ */
+async function linkPullRequestToWorkItem(vm, workItemId, developmentLinker) {
+  const workItem = await getWorkItemById(workItemId, vm.env);
+  if (!workItem) return null;
+
+  const link = DevelopmentLinker.pullRequestLink(vm.owner, vm.repository, {
+    number: vm.number,
+    html_url: vm.url,
+    title: vm.title
+  });
 
-  return html;
+  return await addDevelopmentLinks(vm, workItem, [link], developmentLinker);
 }
 
 /**
- * Add a comment to a work item
+ * Add development links (commits, branches, PRs) missing from a work item
+ * GitHub artifact links when the repository has an ADO GitHub connection id, hyperlinks otherwise
  */
-async function addComment(workItemId, commentText, env) {
-  const patchDocument = [{
-    op: "add",
-    path: "/fields/System.History",
-    value: commentText
-  }];
+async function addDevelopmentLinks(vm, workItem, links, developmentLinker) {
+  const repositoryId = developmentLinker.getRepositoryId(vm.owner, vm.repository);
+  const patchDocument = DevelopmentLinker.buildRelationPatches(links, workItem.relations, repositoryId);
+
+  if (patchDocument.length === 0) {
+    if (links.length > 0) console.log(`  Development links already on work item ${workItem.id}`);
+    return workItem;
+  }
 
-  return await updateWorkItemDirect(patchDocument, workItemId, env);
+  console.log(`🔗 Adding ${patchDocument.length} development link(s) to work item ${workItem.id}`);
+  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
 }
 
 /**
- * Handle specific GitHub actions (edited, closed, labeled, etc.)
+ * Link a work item to its parent, children and related issues
+ * Parent and sub-issues come from the sub-issues API, more children from task lists
+ * ("- [ ] #12") in bodies of config.hierarchy.taskListParentTypes; parent links to issues
+ * without a work item yet are deferred to linkDeferredHierarchy()
  */
-async function handleAction(vm, workItem, projectInfo, stateMapper, userMapper) {
-  switch (vm.action) {
-    case "opened":
-      // Already handled in create
-      break;
+async function syncHierarchy(vm, workItem) {
+  if (!hierarchyResolver || !workItem || workItem === -1 || vm.is_pull_request) return;
 
-    case "edited":
-      if (workItem) await updateWorkItem(vm, workItem, projectInfo, stateMapper, userMapper);
-      break;
+  const issueRef = { owner: vm.owner, repo: vm.repository, number: vm.number };
+  const children = [];
 
-    case "created": // Comment added
-      if (workItem && vm.comment_text) {
-        const commentHtml = buildCommentHtml({
-          body: vm.comment_text,
-          user: { login: vm.user },
-          created_at: new Date().toISOString(),
-          html_url: vm.comment_url
-        });
-        await addComment(workItem.id, commentHtml, vm.env);
+  const relations = config.hierarchy.useIssueRelationships
+    ? await hierarchyResolver.getIssueRelations(vm.owner, vm.repository, vm.number)
+    : null;
+
+  if (relations) {
+    if (relations.parent) {
+      const parent = await findIssueWorkItem(vm, relations.parent);
+
+      if (parent) {
+        await linkToParent(vm, workItem, parent.id, `sub-issue of #${relations.parent.number}`);
+      } else {
+        console.log(`  Parent issue #${relations.parent.number} has no work item yet, not linked`);
+        hierarchyResolver.defer(issueRef, relations.parent, 'sub-issue');
       }
-      break;
+    }
 
-    case "closed":
-      if (workItem) await closeWorkItem(vm, workItem, projectInfo, stateMapper);
-      break;
+    children.push(...relations.children.map(child => ({ ...child, source: 'sub-issue' })));
 
-    case "reopened":
-      if (workItem) await reopenWorkItem(vm, workItem, projectInfo, stateMapper);
-      break;
+    await syncRelationLinks(vm, workItem, relations);
+  }
 
-    case "assigned":
-    case "unassigned":
-      if (workItem) await updateAssignee(vm, workItem, userMapper);
-      break;
+  // Links from other issues that waited for this work item
+  await resolvePendingLinks(vm, workItem);
 
-    case "labeled":
-      if (workItem && vm.label) await addLabel(vm, workItem);
-      break;
+  const workItemType = workItem.fields?.["System.WorkItemType"] || vm.env.wit;
+  if (config.hierarchy.parseBodyForParent && config.hierarchy.taskListParentTypes.includes(workItemType)) {
+    hierarchyResolver.findTaskListChildren(vm.body, vm.owner, vm.repository)
+      .filter(child => !children.some(existing => HierarchyResolver.sameIssue(existing, child)))
+      .forEach(child => children.push({ ...child, source: 'task-list' }));
+  }
 
-    case "unlabeled":
-      if (workItem && vm.label) await removeLabel(vm, workItem);
-      break;
+  for (const childRef of children) {
+    const child = await findIssueWorkItem(vm, childRef);
 
-    default:
-      console.log(`ℹ️  Unhandled action: ${vm.action}`);
+    if (child) {
+      await linkToParent(vm, child, workItem.id, `${describeHierarchySource(childRef.source)} of #${vm.number}`);
+    } else {
+      console.log(`  Child issue #${childRef.number} has no work item yet, not linked`);
+      hierarchyResolver.defer(childRef, issueRef, childRef.source);
+    }
   }
 }
 
 /**
- * Update existing work item
+ * Sync dependency (blocked by / blocking) and duplicate links with GitHub
+ * Links added by this tool are removed again when the relationship is gone on GitHub;
+ * links to issues without a work item wait in the identity store (resolvePendingLinks)
  */
-async function updateWorkItem(vm, workItem, projectInfo, stateMapper, userMapper) {
-  console.log('🔄 Updating work item...');
+async function syncRelationLinks(vm, workItem, relations) {
+  const linkTypes = config.hierarchy.relationLinkTypes;
 
-  const patchDocument = [];
-  const converter = new showdown.Converter({ tables: true });
+  const wanted = [
+    ...relations.blockedBy.map(target => ({ rel: linkTypes.blockedBy, target, comment: `GitHub: blocked by #${target.number}` })),
+    ...relations.blocking.map(target => ({ rel: linkTypes.blocking, target, comment: `GitHub: blocking #${target.number}` }))
+  ];
 
-  // Update title if changed
-  if (config.features.syncTitle) {
-    const newTitle = `${vm.title} (GitHub Issue #${vm.number})`;
-    if (workItem.fields["System.Title"] !== newTitle) {
-      patchDocument.push({
-        op: "replace",
-        path: "/fields/System.Title",
-        value: newTitle
-      });
-    }
+  if (relations.duplicateOf) {
+    wanted.push({ rel: linkTypes.duplicateOf, target: relations.duplicateOf, comment: `GitHub: duplicate of #${relations.duplicateOf.number}` });
   }
 
-  // Update description if changed
-  if (config.features.syncDescription) {
-    const descriptionHtml = converter.makeHtml(vm.body);
-    patchDocument.push({
-      op: "replace",
-      path: "/fields/System.Description",
-      value: descriptionHtml
-    });
-  }
+  const existing = (workItem.relations || []).map((relation, index) => ({ ...relation, index, targetId: getRelationTargetId(relation) }));
+  const kept = new Set();
+  const addPatches = [];
+  const pendingLinks = [];
 
-  // Update state based on project status
-  if (config.features.syncProjectStatus && projectInfo) {
-    const projectName = projectsClient.getProjectName(projectInfo);
-    const projectStatus = projectsClient.getProjectStatus(projectInfo);
-    const adoState = stateMapper.getAdoState(workItem.fields["System.WorkItemType"], vm.state, projectName, projectStatus);
-    
-    if (workItem.fields["System.State"] !== adoState) {
-      patchDocument.push({
-        op: "replace",
-        path: "/fields/System.State",
-        value: adoState
-      });
+  for (const link of wanted) {
+    const target = await findIssueWorkItem(vm, link.target);
+
+    if (!target) {
+      console.log(`  Issue #${link.target.number} has no work item yet, "${link.comment}" link waits for it`);
+      pendingLinks.push(link);
+      continue;
+    }
+
+    const current = existing.find(relation => relation.rel === link.rel && relation.targetId === Number(target.id));
+    if (current) {
+      kept.add(current.index);
+      continue;
     }
+
+    addPatches.push({
+      op: "add",
+      path: "/relations/-",
+      value: {
+        rel: link.rel,
+        url: buildWorkItemUrl(vm.env, target.id),
+        attributes: {
+          comment: link.comment
+        }
+      }
+    });
   }
 
-  // Add history entry
-  patchDocument.push({
-    op: "add",
-    path: "/fields/System.History",
-    value: `Issue updated on GitHub by ${vm.user}`
-  });
+  // Relationships removed on GitHub (highest index first so the others don't shift)
+  const removePatches = existing
+    .filter(relation => Object.values(linkTypes).includes(relation.rel) && !kept.has(relation.index))
+    .filter(relation => (relation.attributes?.comment || '').startsWith('GitHub:'))
+    .sort((a, b) => b.index - a.index)
+    .map(relation => ({ op: "remove", path: `/relations/${relation.index}` }));
 
-  if (patchDocument.length > 0) {
-    return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+  if (workItemStore && !dryRunPlan) {
+    workItemStore.setPendingLinks(vm.owner, vm.repository, vm.number, pendingLinks);
+    workItemStore.save();
   }
 
-  return workItem;
+  if (addPatches.length === 0 && removePatches.length === 0) return workItem;
+
+  console.log(`🔗 Relationship links for work item ${workItem.id}: ${addPatches.length} added, ${removePatches.length} removed`);
+  return await updateWorkItemDirect([...removePatches, ...addPatches], workItem.id, vm.env);
 }
 
 /**
- * Close work item
+ * Make the dependency/duplicate links that waited for this issue's work item
  */
-async function closeWorkItem(vm, workItem, projectInfo, stateMapper) {
-  console.log('🔒 Closing work item...');
+async function resolvePendingLinks(vm, workItem) {
+  if (!workItemStore || dryRunPlan) return;
 
-  const projectName = projectInfo ? projectsClient.getProjectName(projectInfo) : null;
-  const closedState = stateMapper.getAdoState(
-    workItem.fields["System.WorkItemType"],
-    "closed",
-    projectName,
-    "In Production" // Assume production when closed
-  );
+  const pending = workItemStore.takePendingLinksTo(vm.owner, vm.repository, vm.number);
+  if (pending.length === 0) return;
 
-  const patchDocument = [
-    {
-      op: "replace",
-      path: "/fields/System.State",
-      value: closedState
-    },
-    {
-      op: "add",
-      path: "/fields/System.History",
-      value: `Issue closed on GitHub by ${vm.user}`
+  for (const { entry, link } of pending) {
+    const source = await getWorkItemById(entry.workItemId, vm.env);
+    if (!source) continue;
+
+    // Already made from this side (reciprocal link)
+    if ((source.relations || []).some(relation => relation.rel === link.rel && getRelationTargetId(relation) === Number(workItem.id))) {
+      continue;
     }
-  ];
 
-  // Add closed date if configured
-  if (config.features.syncDates && vm.closed_at && vm.env.bypassRules) {
-    patchDocument.push({
+    console.log(`🔗 Linking work item ${source.id} to ${workItem.id} (${link.comment}, issue #${entry.number})`);
+
+    await updateWorkItemDirect([{
       op: "add",
-      path: "/fields/System.ClosedDate",
-      value: vm.closed_at
-    });
+      path: "/relations/-",
+      value: {
+        rel: link.rel,
+        url: buildWorkItemUrl(vm.env, workItem.id),
+        attributes: {
+          comment: link.comment
+        }
+      }
+    }], source.id, vm.env);
   }
 
-  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+  workItemStore.save();
 }
 
 /**
- * Reopen work item
+ * Get the id of the work item a relation points to (null for non work item links)
  */
-async function reopenWorkItem(vm, workItem, projectInfo, stateMapper) {
-  console.log('🔓 Reopening work item...');
-
-  const projectName = projectInfo ? projectsClient.getProjectName(projectInfo) : null;
-  const projectStatus = projectInfo ? projectsClient.getProjectStatus(projectInfo) : null;
-  
-  const reopenedState = stateMapper.getAdoState(
-    workItem.fields["System.WorkItemType"],
-    "open",
-    projectName,
-    projectStatus || "No status"
-  );
-
-  const patchDocument = [
-    {
-      op: "replace",
-      path: "/fields/System.State",
-      value: reopenedState
-    },
-    {
-      op: "add",
-      path: "/fields/System.History",
-      value: `Issue reopened on GitHub by ${vm.user}`
-    }
-  ];
-
-  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+function getRelationTargetId(relation) {
+  const match = (relation.url || '').match(/\/workitems\/(\d+)$/i);
+  return match ? parseInt(match[1]) : null;
 }
 
 /**
- * Update assignee
+ * Second pass of bulk migration: make the parent links deferred by syncHierarchy()
  */
-async function updateAssignee(vm, workItem, userMapper) {
-  console.log('👤 Updating assignee...');
-
-  const patchDocument = [];
-  
-  if (vm.assignees && vm.assignees.length > 0) {
-    const assignedTo = userMapper.getPrimaryAdoUser(vm.assignees);
-    if (assignedTo) {
-      patchDocument.push({
-        op: "replace",
-        path: "/fields/System.AssignedTo",
-        value: assignedTo
-      });
-    }
-  } else {
-    // Unassigned
-    patchDocument.push({
-      op: "remove",
-      path: "/fields/System.AssignedTo"
-    });
-  }
-
-  if (patchDocument.length > 0) {
-    return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
-  }
+async function linkDeferredHierarchy(env) {
+  const pending = hierarchyResolver ? hierarchyResolver.takePending() : [];
+  if (pending.length === 0) return;
 
-  return workItem;
-}
+  console.log(`\n🌳 Linking ${pending.length} deferred parent/child relationship(s)...`);
 
-/**
- * Add label (tag)
- */
-async function addLabel(vm, workItem) {
-  console.log(`🏷️  Adding label: ${vm.label}`);
+  for (const { child, parent, source } of pending) {
+    const vm = { owner: child.owner, repository: child.repo, number: child.number, node_id: null, env: buildEnvObject(env) };
+    if (dryRunPlan) dryRunPlan.attachEnv(vm.env, vm);
 
-  let currentTags = workItem.fields["System.Tags"] || "";
-  
-  // Check if label already exists
-  if (currentTags.includes(vm.label)) {
-    console.log('  Label already exists');
-    return workItem;
-  }
+    const childItem = await findIssueWorkItem(vm, child);
+    const parentItem = childItem ? await findIssueWorkItem(vm, parent) : null;
 
-  // Add label
-  if (currentTags) {
-    currentTags += "; " + vm.label;
-  } else {
-    currentTags = vm.label;
-  }
+    if (!childItem || !parentItem) {
+      console.log(`  ⚠️  #${child.number} → #${parent.number}: work item missing, not linked`);
+      continue;
+    }
 
-  const patchDocument = [{
-    op: "replace",
-    path: "/fields/System.Tags",
-    value: currentTags
-  }];
+    await linkToParent(vm, childItem, parentItem.id, `${describeHierarchySource(source)} of #${parent.number}`);
+  }
+}
 
-  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+/**
+ * Readable name of a hierarchy source for link comments
+ */
+function describeHierarchySource(source) {
+  return source === 'task-list' ? 'task list item' : source;
 }
 
 /**
- * Remove label (tag)
+ * Add the parent link (config.hierarchy.linkType) to a work item
+ * Work items that already have a parent are left alone
  */
-async function removeLabel(vm, workItem) {
-  console.log(`🏷️  Removing label: ${vm.label}`);
+async function linkToParent(vm, workItem, parentId, reason) {
+  if (workItem.id === parentId) return workItem;
 
-  let currentTags = workItem.fields["System.Tags"] || "";
-  
-  if (!currentTags.includes(vm.label)) {
-    console.log('  Label not found');
+  const parentRelation = (workItem.relations || []).find(relation => relation.rel === config.hierarchy.linkType);
+
+  if (parentRelation) {
+    if (!new RegExp(`/workitems/${parentId}$`, 'i').test(parentRelation.url)) {
+      console.log(`  ⚠️  Work item ${workItem.id} already has a different parent, not linking to ${parentId}`);
+    }
     return workItem;
   }
 
-  // Remove label
-  currentTags = currentTags
-    .split("; ")
-    .filter(tag => tag !== vm.label)
-    .join("; ");
+  console.log(`🌳 Linking work item ${workItem.id} to parent ${parentId} (${reason})`);
 
   const patchDocument = [{
-    op: "replace",
-    path: "/fields/System.Tags",
-    value: currentTags
+    op: "add",
+    path: "/relations/-",
+    value: {
+      rel: config.hierarchy.linkType,
+      url: buildWorkItemUrl(vm.env, parentId),
+      attributes: {
+        comment: `GitHub ${reason}`
+      }
+    }
   }];
 
   return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
 }
 
+/**
+ * Find the work item of another issue (parent, child, issue closed by a PR)
+ * @param {Object} issueRef - { owner, repo, number }
+ * @returns {Object|null} Work item or null if the issue has none
+ */
+async function findIssueWorkItem(vm, issueRef) {
+  const issueVm = {
+    ...vm,
+    owner: issueRef.owner,
+    repository: issueRef.repo,
+    number: issueRef.number,
+    node_id: null,
+    is_pull_request: false
+  };
+
+  const workItem = await find(issueVm);
+  return workItem && workItem !== -1 ? workItem : null;
+}
+
 /**
  * Find existing work item for a GitHub issue
- * Uses title and tags to locate the work item
+ * Looks up the identity store first, then the ADO identity field,
+ * then falls back to the GH-<number> and repo tags and, if enabled, the issue hyperlink
  */
 async function find(vm) {
   if (config.logging.level >= 200) console.log('Searching for existing work item...');
 
-  let authHandler = azdev.getHandlerFromToken(vm.env.adoToken);
-  let connection = new azdev.WebApi(vm.env.orgUrl, authHandler);
   let client = null;
 
   try {
-    client = await connection.getWorkItemTrackingApi();
+    client = await getWorkItemClient(vm.env);
   } catch (error) {
     console.error('❌ Error connecting to Azure DevOps:', error.message);
     return -1;
@@ -1024,34 +3185,75 @@ async function find(vm) {
 
   const teamContext = { project: vm.env.project };
 
-  // WIQL query to find work item
-  const wiql = {
-    query: `SELECT [System.Id], [System.WorkItemType], [System.Title], [System.State], [System.Tags] 
-            FROM workitems 
-            WHERE [System.TeamProject] = @project 
-            AND [System.Title] CONTAINS '(GitHub Issue #${vm.number})' 
-            AND [System.Tags] CONTAINS 'GitHub Issue' 
-            AND [System.Tags] CONTAINS '${vm.repository}'`
-  };
+  // === IDENTITY STORE ===
+  const entry = workItemStore ? workItemStore.find(vm.owner, vm.repository, vm.number, vm.node_id) : null;
 
-  if (config.logging.level >= 300) {
-    console.log('WIQL Query:');
-    console.log(wiql.query);
+  if (entry) {
+    try {
+      const workItem = await client.getWorkItem(entry.workItemId, null, null, 4);
+      if (workItem) {
+        console.log(`  Found mapped work item: ${workItem.id}`);
+        rememberWorkItem(vm, workItem.id, entry.source);
+        return workItem;
+      }
+    } catch (error) {
+      // Keep the entry (and its comment/attachment/link metadata) unless the work item is gone
+      if (!isWorkItemNotFound(error)) {
+        console.error(`❌ Error reading mapped work item ${entry.workItemId}:`, error.message);
+        return -1;
+      }
+    }
+
+    console.log(`  Mapped work item ${entry.workItemId} no longer exists, searching again`);
+    workItemStore.remove(entry.owner, entry.repo, entry.number);
   }
 
+  // === ADO IDENTITY FIELD / TAG SEARCH / HYPERLINK ===
   try {
-    const queryResult = await client.queryByWiql(wiql, teamContext);
+    if (config.identity.adoField) {
+      const workItemId = await queryFirstWorkItemId(client, `SELECT [System.Id] FROM workitems 
+            WHERE [System.TeamProject] = @project 
+            AND [${config.identity.adoField}] = '${WorkItemStore.buildKey(vm.owner, vm.repository, vm.number)}'`, teamContext);
 
-    if (!queryResult || queryResult.workItems.length === 0) {
-      console.log('  No existing work item found');
-      return null;
+      if (workItemId) {
+        const workItem = await client.getWorkItem(workItemId, null, null, 4);
+        console.log(`  Found work item: ${workItem.id}`);
+        rememberWorkItem(vm, workItem.id, 'search');
+        return workItem;
+      }
+    }
+
+    if (config.identity.fallbackToTagSearch) {
+      const workItemId = await queryFirstWorkItemId(client, `SELECT [System.Id] FROM workitems 
+            WHERE [System.TeamProject] = @project 
+            AND [System.Tags] CONTAINS 'GH-${vm.number}' 
+            AND [System.Tags] CONTAINS '${getSourceTag(vm)}' 
+            AND [System.Tags] CONTAINS '${vm.repository}'`, teamContext);
+
+      if (workItemId) {
+        const workItem = await client.getWorkItem(workItemId, null, null, 4);
+        console.log(`  Found work item: ${workItem.id}`);
+        rememberWorkItem(vm, workItem.id, 'search');
+        await addIssueHyperlink(vm, workItem);
+        return workItem;
+      }
     }
 
-    const workItemRef = queryResult.workItems[0];
-    const workItem = await client.getWorkItem(workItemRef.id, null, null, 4);
+    // Last resort: scans the repository's linked work items once per run
+    if (config.identity.hyperlinkSearch && vm.url) {
+      const workItemId = await findWorkItemIdByHyperlink(client, vm, teamContext);
 
-    console.log(`  Found work item: ${workItem.id}`);
-    return workItem;
+      if (workItemId) {
+        const workItem = await client.getWorkItem(workItemId, null, null, 4);
+        console.log(`  Found work item linked to ${vm.url}: ${workItem.id}`);
+        rememberWorkItem(vm, workItem.id, 'hyperlink');
+        await addIdentityField(vm, workItem);
+        return workItem;
+      }
+    }
+
+    console.log('  No existing work item found');
+    return null;
 
   } catch (error) {
     console.error('❌ Error querying work items:', error.message);
@@ -1059,15 +3261,156 @@ async function find(vm) {
   }
 }
 
+/**
+ * Run a WIQL query and return the id of the first work item (null if none)
+ */
+async function queryFirstWorkItemId(client, query, teamContext) {
+  if (config.logging.level >= 300) {
+    console.log('WIQL Query:');
+    console.log(query);
+  }
+
+  const queryResult = await client.queryByWiql({ query }, teamContext);
+  return queryResult?.workItems?.length > 0 ? queryResult.workItems[0].id : null;
+}
+
+/**
+ * Find the work item whose Hyperlink relation points at the issue (added on creation)
+ * WIQL can't filter on relation URLs, so the repository's work items with hyperlinks are
+ * read and indexed by URL: all of them on the first miss of a run, later only newer ids
+ * @returns {number|null} Work item id
+ */
+async function findWorkItemIdByHyperlink(client, vm, teamContext) {
+  const url = vm.url.toLowerCase();
+  const index = getHyperlinkIndex(vm.repository);
+
+  if (!index.urls.has(url)) {
+    // One scan at a time, workers missing meanwhile wait for it
+    index.scanning = index.scanning || scanHyperlinks(client, vm.repository, index, teamContext)
+      .finally(() => { index.scanning = null; });
+    await index.scanning;
+  }
+
+  return index.urls.get(url) || null;
+}
+
+function getHyperlinkIndex(repo) {
+  const key = repo.toLowerCase();
+  if (!hyperlinkIndexes.has(key)) {
+    hyperlinkIndexes.set(key, { urls: new Map(), lastId: 0, scanning: null });
+  }
+  return hyperlinkIndexes.get(key);
+}
+
+/**
+ * Index the hyperlinks of the repository's work items with an id above index.lastId
+ * Paged by id, so the WIQL result limit is never reached
+ */
+async function scanHyperlinks(client, repo, index, teamContext) {
+  let ids = [];
+
+  do {
+    const queryResult = await client.queryByWiql({
+      query: `SELECT [System.Id] FROM workitems 
+            WHERE [System.TeamProject] = @project 
+            AND [System.Tags] CONTAINS '${repo}' 
+            AND [System.HyperLinkCount] > 0 
+            AND [System.Id] > ${index.lastId} 
+            ORDER BY [System.Id]`
+    }, teamContext, undefined, HYPERLINK_SCAN_PAGE);
+
+    ids = (queryResult?.workItems || []).map(ref => ref.id);
+
+    for (let i = 0; i < ids.length; i += 200) {
+      const batch = await client.getWorkItems(ids.slice(i, i + 200), null, null, 1);
+
+      for (const workItem of batch) {
+        (workItem.relations || [])
+          .filter(relation => relation.rel === 'Hyperlink' && relation.url)
+          .forEach(relation => index.urls.set(relation.url.toLowerCase(), workItem.id));
+      }
+    }
+
+    if (ids.length > 0) index.lastId = Math.max(index.lastId, ...ids);
+  } while (ids.length === HYPERLINK_SCAN_PAGE);
+}
+
+/**
+ * Add the Hyperlink back to the issue to a work item found by its tags,
+ * so it is still found when the tags are edited
+ */
+async function addIssueHyperlink(vm, workItem) {
+  if (!vm.url || !workItem.relations) return;
+
+  const url = vm.url.toLowerCase();
+  const linked = workItem.relations.some(relation => relation.rel === 'Hyperlink' && relation.url?.toLowerCase() === url);
+  if (linked) return;
+
+  await updateWorkItemDirect([{
+    op: "add",
+    path: "/relations/-",
+    value: { rel: "Hyperlink", url: vm.url }
+  }], workItem.id, vm.env);
+
+  getHyperlinkIndex(vm.repository).urls.set(url, workItem.id);
+}
+
+/**
+ * Write the identity key to a work item found by its hyperlink,
+ * so the next lookup finds it by the ADO field instead of scanning
+ */
+async function addIdentityField(vm, workItem) {
+  if (!config.identity.adoField) return;
+
+  const key = WorkItemStore.buildKey(vm.owner, vm.repository, vm.number);
+  if (workItem.fields?.[config.identity.adoField] === key) return;
+
+  await updateWorkItemDirect([{
+    op: "add",
+    path: `/fields/${config.identity.adoField}`,
+    value: key
+  }], workItem.id, vm.env);
+}
+
+/**
+ * Check if an ADO error means the work item doesn't exist (deleted, or never created)
+ */
+function isWorkItemNotFound(error) {
+  return error.status === 404 || /TF401232/.test(error.message);
+}
+
+/**
+ * Record the issue → work item mapping in the identity store
+ */
+function rememberWorkItem(vm, workItemId, source) {
+  if (!workItemStore || dryRunPlan || !vm.owner || !vm.repository || vm.number < 0) return;
+
+  workItemStore.set({
+    owner: vm.owner,
+    repo: vm.repository,
+    number: vm.number,
+    nodeId: vm.node_id,
+    workItemId,
+    type: vm.is_pull_request ? 'pull_request' : 'issue',
+    source
+  });
+  workItemStore.save();
+}
+
 /**
  * Execute work item creation
  */
 async function executeWorkItemCreate(patchDocument, env) {
   if (config.logging.level >= 200) console.log('Executing work item creation...');
 
-  let authHandler = azdev.getHandlerFromToken(env.adoToken);
-  let connection = new azdev.WebApi(env.orgUrl, authHandler);
-  let client = await connection.getWorkItemTrackingApi();
+  if (dryRunPlan) {
+    dryRunPlan.record(env, { target: 'ado', action: 'createWorkItem', project: env.project, type: env.wit, bypassRules: env.bypassRules, patchDocument });
+    const placeholder = dryRunPlan.createPlaceholderWorkItem(patchDocument, env.wit);
+    console.log(`🧪 Dry run: work item not created (placeholder ${placeholder.id})`);
+    return placeholder;
+  }
+
+  let client = await getWorkItemClient(env);
 
   try {
     const workItem = await client.createWorkItem(
@@ -1104,9 +3447,12 @@ async function executeWorkItemCreate(patchDocument, env) {
 async function updateWorkItemDirect(patchDocument, workItemId, env) {
   if (config.logging.level >= 200) console.log(`Updating work item ${workItemId}...`);
 
-  let authHandler = azdev.getHandlerFromToken(env.adoToken);
-  let connection = new azdev.WebApi(env.orgUrl, authHandler);
-  let client = await connection.getWorkItemTrackingApi();
+  if (dryRunPlan) {
+    dryRunPlan.record(env, { target: 'ado', action: 'updateWorkItem', project: env.project, workItemId, bypassRules: env.bypassRules, patchDocument });
+    return { id: workItemId, fields: {} };
+  }
+
+  let client = await getWorkItemClient(env);
 
   try {
     const workItem = await client.updateWorkItem(
@@ -1135,6 +3481,144 @@ async function updateWorkItemDirect(patchDocument, workItemId, env) {
   }
 }
 
+/**
+ * Create a work item, starting in the initial state when its target state can't be set on creation
+ * (bypassRules off); it's then moved along the workflow like an update
+ * @returns {Object|number} Created work item or -1 on error
+ */
+async function createWorkItemWithState(vm, patchDocument, stateMapper) {
+  const stateOp = patchDocument.find(patch => patch.path === "/fields/System.State");
+
+  if (!stateOp || vm.env.bypassRules) {
+    return await executeWorkItemCreate(patchDocument, vm.env);
+  }
+
+  const transitions = await getStateTransitions(vm.env, vm.env.wit, stateMapper);
+  const statePath = stateMapper.getTransitionPath(transitions, "", stateOp.value);
+
+  if (statePath.length <= 1) {
+    return await executeWorkItemCreate(patchDocument, vm.env);
+  }
+
+  const targetState = stateOp.value;
+  stateOp.value = statePath[0];
+  console.log(`🎯 Creating in ${statePath[0]}, then moving to ${targetState}`);
+
+  const workItem = await executeWorkItemCreate(patchDocument, vm.env);
+  if (!workItem || workItem === -1) return workItem;
+
+  const created = {
+    ...workItem,
+    fields: { ...workItem.fields, "System.WorkItemType": vm.env.wit, "System.State": statePath[0] }
+  };
+
+  await updateWorkItemState(vm, created, [
+    { op: "replace", path: "/fields/System.State", value: targetState },
+    {
+      op: "add",
+      path: "/fields/System.History",
+      value: `State set to ${targetState} (created on GitHub by ${vm.sender_login})`
+    }
+  ], stateMapper);
+
+  return workItem;
+}
+
+/**
+ * Apply a patch that changes System.State
+ * Without bypassRules ADO only accepts the transitions of the work item type's workflow,
+ * so the states between (e.g. New → Approved → Committed → Done) are applied first, one update each
+ * @returns {Object|null} Updated work item or null if a step failed
+ */
+async function updateWorkItemState(vm, workItem, patchDocument, stateMapper) {
+  const stateOp = patchDocument.find(patch => patch.path === "/fields/System.State");
+  const currentState = workItem.fields?.["System.State"];
+
+  if (!stateOp || vm.env.bypassRules || !currentState || currentState === stateOp.value) {
+    return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+  }
+
+  const workItemType = workItem.fields["System.WorkItemType"] || vm.env.wit;
+  const transitions = await getStateTransitions(vm.env, workItemType, stateMapper);
+  const statePath = stateMapper.getTransitionPath(transitions, currentState, stateOp.value);
+
+  if (statePath.length > 1) {
+    console.log(`🎯 State path: ${[currentState, ...statePath].join(' → ')}`);
+  }
+
+  let previousState = currentState;
+  for (const state of statePath.slice(0, -1)) {
+    const stepPatch = [
+      { op: "replace", path: "/fields/System.State", value: state },
+      ...buildReasonPatches(workItemType, state, stateMapper),
+      {
+        op: "add",
+        path: "/fields/System.History",
+        value: `State ${previousState} → ${state} on the way to ${stateOp.value} (changed on GitHub by ${vm.sender_login})`
+      }
+    ];
+
+    if (!await updateWorkItemDirect(stepPatch, workItem.id, vm.env)) {
+      console.error(`❌ Could not move work item ${workItem.id} to ${state}, stopping at ${previousState}`);
+      return null;
+    }
+
+    previousState = state;
+  }
+
+  if (!patchDocument.some(patch => patch.path === "/fields/System.Reason")) {
+    patchDocument.push(...buildReasonPatches(workItemType, stateOp.value, stateMapper));
+  }
+
+  return await updateWorkItemDirect(patchDocument, workItem.id, vm.env);
+}
+
+/**
+ * Reason for entering a state (globalSettings.transitionReasons in the state mapping)
+ * No patch lets ADO pick the transition's default reason
+ */
+function buildReasonPatches(workItemType, state, stateMapper) {
+  const reason = stateMapper.getTransitionReason(workItemType, state);
+  return reason ? [{ op: "add", path: "/fields/System.Reason", value: reason }] : [];
+}
+
+/**
+ * Get the allowed state transitions of a work item type (loaded once per type)
+ */
+async function getStateTransitions(env, workItemType, stateMapper) {
+  return await stateMapper.loadTransitions(() => getWorkItemClient(env), env.project, workItemType);
+}
+
+/**
+ * Connect to the ADO work item tracking API (calls are retried by apiRetry)
+ */
+async function getWorkItemClient(env) {
+  const authHandler = azdev.getHandlerFromToken(env.adoToken);
+  const connection = new azdev.WebApi(env.orgUrl, authHandler);
+  return apiRetry.wrap(await connection.getWorkItemTrackingApi());
+}
+
+/**
+ * Get a work item with its relations
+ * @returns {Object|null} Work item or null if not found
+ */
+async function getWorkItemById(workItemId, env) {
+  try {
+    const client = await getWorkItemClient(env);
+    return await client.getWorkItem(workItemId, null, null, 4);
+  } catch (error) {
+    console.error(`❌ Error getting work item ${workItemId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build the API URL of a work item (target of work item links)
+ */
+function buildWorkItemUrl(env, workItemId) {
+  return `https://dev.azure.com/${env.organization}/${env.project}/_apis/wit/workitems/${workItemId}`;
+}
+
 /**
  * Update GitHub issue body to include AB# link
  */
@@ -1142,15 +3626,21 @@ async function updateIssueBody(vm, workItem) {
   if (config.logging.level >= 200) console.log('Adding AB# link to GitHub issue...');
 
   // Check if AB# already exists
-  if (vm.body.includes(`AB#${workItem.id}`)) {
+  const entry = workItemStore ? workItemStore.get(vm.owner, vm.repository, vm.number) : null;
+  if (vm.body.includes(`AB#${workItem.id}`) || (entry && entry.workItemId === workItem.id && entry.linkedInBody)) {
     console.log('  AB# link already exists');
     return null;
   }
 
+  const updatedBody = vm.body + `\r\n\r\nAB#${workItem.id}`;
+
+  if (dryRunPlan) {
+    dryRunPlan.record(vm.env, { target: 'github', action: 'updateIssue', owner: vm.owner, repo: vm.repository, issueNumber: vm.number, body: updatedBody });
+    return null;
+  }
+
   try {
-    const octokit = new Octokit({ auth: vm.env.ghToken });
-    
-    const updatedBody = vm.body + `\r\n\r\nAB#${workItem.id}`;
+    const octokit = apiRetry.wrapOctokit(new Octokit({ auth: vm.env.ghToken }));
 
     const result = await octokit.issues.update({
       owner: vm.owner,
@@ -1160,6 +3650,12 @@ async function updateIssueBody(vm, workItem) {
     });
 
     console.log('  ✅ Added AB# link to issue');
+
+    if (entry && entry.workItemId === workItem.id) {
+      workItemStore.set({ ...entry, linkedInBody: true });
+      workItemStore.save();
+    }
+
     return result;
 
   } catch (error) {
@@ -1177,6 +3673,7 @@ function getValuesFromPayload(payload, env) {
     action: payload.action || "",
     url: payload.issue?.html_url || "",
     number: payload.issue?.number || -1,
+    node_id: payload.issue?.node_id || null,
     title: payload.issue?.title || "",
     state: payload.issue?.state || "",
     user: payload.issue?.user?.login || "",
@@ -1191,11 +3688,17 @@ function getValuesFromPayload(payload, env) {
     sender_login: payload.sender?.login || "",
     assignees: (payload.issue?.assignees || []).map(a => a.login),
     labels: (payload.issue?.labels || []).map(l => l.name),
-    comments: payload.issue?.comments || [],
+    issue_type: payload.issue?.type?.name || null,
+    milestone: getMilestoneValues(payload.issue?.milestone),
+    comments: [], // payload only carries the count, fetched with fetchIssueComments()
+    comment_count: payload.issue?.comments || 0,
     defaultStoryPoints: env.defaultStoryPoints || 0.5,
     label: "",
+    comment_id: null,
     comment_text: "",
     comment_url: "",
+    comment_user: "",
+    comment_created_at: null,
     organization: "",
     repository: "",
     parent_id: env.ado_parent_id || null,
@@ -1209,8 +3712,11 @@ function getValuesFromPayload(payload, env) {
 
   // Comment (if this is a comment event)
   if (payload.comment) {
+    vm.comment_id = payload.comment.id || null;
     vm.comment_text = payload.comment.body || "";
     vm.comment_url = payload.comment.html_url || "";
+    vm.comment_user = payload.comment.user?.login || "";
+    vm.comment_created_at = payload.comment.created_at || null;
   }
 
   // Split repo full name
@@ -1228,6 +3734,71 @@ function getValuesFromPayload(payload, env) {
   return vm;
 }
 
+/**
+ * Get values from a pull_request payload
+ * Same shape as getValuesFromPayload, plus the PR-specific fields
+ */
+function getValuesFromPullRequestPayload(payload, env) {
+  const pr = payload.pull_request || {};
+
+  const vm = {
+    action: payload.action || "",
+    url: pr.html_url || "",
+    number: pr.number || -1,
+    node_id: pr.node_id || null,
+    title: pr.title || "",
+    state: pr.state || "",
+    merged: pr.merged === true,
+    draft: pr.draft === true,
+    user: pr.user?.login || "",
+    body: pr.body || "",
+    repo_fullname: payload.repository?.full_name || "",
+    repo_name: payload.repository?.name || "",
+    repo_url: payload.repository?.html_url || "",
+    closed_at: pr.closed_at || null,
+    merged_at: pr.merged_at || null,
+    created_at: pr.created_at || null,
+    updated_at: pr.updated_at || null,
+    owner: payload.repository?.owner?.login || "",
+    sender_login: payload.sender?.login || "",
+    assignees: (pr.assignees || []).map(a => a.login),
+    labels: (pr.labels || []).map(l => l.name),
+    milestone: getMilestoneValues(pr.milestone),
+    reviewers: (pr.requested_reviewers || []).map(r => r.login),
+    head_ref: pr.head?.ref || "",
+    base_ref: pr.base?.ref || "",
+    comments: [],
+    comment_count: 0,
+    defaultStoryPoints: 0,
+    label: payload.label?.name || "",
+    comment_id: null,
+    comment_text: "",
+    comment_url: "",
+    comment_user: "",
+    comment_created_at: null,
+    organization: "",
+    repository: "",
+    parent_id: null,
+    is_pull_request: true,
+    env: buildEnvObject(env)
+  };
+
+  vm.env.wit = config.pullRequests.workItemType;
+
+  if (vm.repo_fullname) {
+    const split = vm.repo_fullname.split("/");
+    vm.organization = split[0] || "";
+    vm.repository = split[1] || "";
+  }
+
+  if (config.logging.level >= 300) {
+    console.log('Pull request VM:');
+    console.log(JSON.stringify(vm, null, 2));
+  }
+
+  return vm;
+}
+
 /**
  * Convert GitHub issue object to VM format (for bulk migration)
  */
@@ -1236,6 +3807,7 @@ function convertIssueToVm(issue, owner, repo, env) {
     action: "opened", // Default action for bulk migration
     url: issue.html_url,
     number: issue.number,
+    node_id: issue.node_id || null,
     title: issue.title,
     state: issue.state,
     user: issue.user.login,
@@ -1250,11 +3822,17 @@ function convertIssueToVm(issue, owner, repo, env) {
     sender_login: issue.user.login,
     assignees: (issue.assignees || []).map(a => a.login),
     labels: (issue.labels || []).map(l => l.name),
-    comments: [], // Will be fetched separately if needed
+    issue_type: issue.type?.name || null,
+    milestone: getMilestoneValues(issue.milestone),
+    comments: [], // Fetched with fetchIssueComments()
+    comment_count: issue.comments || 0,
     defaultStoryPoints: env.defaultStoryPoints || 0.5,
     label: "",
+    comment_id: null,
     comment_text: "",
     comment_url: "",
+    comment_user: "",
+    comment_created_at: null,
     organization: owner,
     repository: repo,
     parent_id: null,
@@ -1262,6 +3840,20 @@ function convertIssueToVm(issue, owner, repo, env) {
   };
 }
 
+/**
+ * Get the milestone fields used by the sync
+ */
+function getMilestoneValues(milestone) {
+  if (!milestone) return null;
+
+  return {
+    number: milestone.number,
+    title: milestone.title,
+    due_on: milestone.due_on || null,
+    url: milestone.html_url || ""
+  };
+}
+
 /**
  * Build environment object
  */
@@ -1315,6 +3907,29 @@ function initializeUserMapper(env) {
   return mapper;
 }
 
+/**
+ * Initialize Development Linker
+ * ado_github_repository_id sets the ADO GitHub connection repository id of the current repository
+ */
+function initializeDevelopmentLinker(env, repoFullName) {
+  const repositoryIds = { ...config.developmentLinks.repositoryIds };
+
+  if (env.ado_github_repository_id && repoFullName) {
+    repositoryIds[repoFullName] = env.ado_github_repository_id;
+  }
+
+  return new DevelopmentLinker(env.github_token, { repositoryIds });
+}
+
+/**
+ * Initialize Work Item Identity Store
+ */
+function initializeWorkItemStore(env) {
+  const store = new WorkItemStore(env.WORK_ITEM_MAP_FILE || config.identity.cachePath);
+  store.logMappings(config.logging.level);
+  return store;
+}
+
 /**
  * Delay helper for rate limiting
  */
@@ -1322,16 +3937,31 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Issues processed over a duration, e.g. "120 issues in 8m 5s (14.8 issues/min)"
+ */
+function formatThroughput(count, ms) {
+  const seconds = Math.round(ms / 1000);
+  const duration = seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+  const perMinute = ms > 0 ? (count / (ms / 60000)).toFixed(1) : '0.0';
+
+  return `${count} issues in ${duration} (${perMinute} issues/min)`;
+}
+
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     main,
     handleSingleIssue,
     handleBulkMigration,
+    handlePullRequest,
+    handleDevelopmentEvent,
     createWorkItem,
+    createPullRequestWorkItem,
     updateWorkItem,
     find,
     buildTagsString,
+    findLinkedIssueNumbers,
     getPriorityFromLabels,
     mapCustomFields
   };
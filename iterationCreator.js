@@ -3,23 +3,50 @@
  * 
  * Programmatically creates iterations (sprints) in Azure DevOps
  * Parses sprint names and dates from GitHub to create ADO iterations
+ *
+ * An iteration is created as a classification node (with its missing parent nodes) under
+ * config.iterations.rootPath, named by config.iterations.nameTemplate, then added to the
+ * teams in config.iterations.teams
  */
 
 const azdev = require('azure-devops-node-api');
+const { TreeStructureGroup } = require('azure-devops-node-api/interfaces/WorkItemTrackingInterfaces');
+const { ApiRetry } = require('./apiRetry');
+
+// Characters ADO doesn't allow in node names
+const INVALID_NODE_CHARS = /[\\/:*?"<>|;#${}+=[\]%&]/g;
+
+// Template placeholders taken from the start date
+const DATE_PLACEHOLDERS = /\{(year|quarter|month)\}/;
 
 class IterationCreator {
-  constructor(adoToken, organization, project) {
+  /**
+   * @param {Object} settings - { rootPath, nameTemplate, teams } (config.iterations)
+   */
+  constructor(adoToken, organization, project, settings = {}) {
     this.adoToken = adoToken;
     this.organization = organization;
     this.project = project;
-    this.orgUrl = `https://dev.azure.com/Myownpersonalorganizationtest`;
+    this.orgUrl = `https://dev.azure.com/${organization}`;
+
+    // A leading project name is dropped: "MyProject\\Releases" and "Releases" are the same root
+    this.rootPath = this.splitPath(settings.rootPath || '');
+    if (this.rootPath[0]?.toLowerCase() === project?.toLowerCase()) {
+      this.rootPath.shift();
+    }
+    this.nameTemplate = settings.nameTemplate || '{name}';
+    this.teams = settings.teams?.length ? settings.teams : [null];  // null: the project's default team
     
     this.connection = null;
     this.workClient = null;
+    this.trackingClient = null;
     
-    // Cache of existing iterations to avoid duplicate checks
+    // Cache of existing iteration nodes (lowercased path below the project) to avoid duplicate checks
     this.existingIterations = new Map();
     this.cacheLoaded = false;
+
+    // Team → ids of the iterations the team already has
+    this.teamIterations = new Map();
   }
 
   /**
@@ -30,11 +57,12 @@ class IterationCreator {
 
     const authHandler = azdev.getHandlerFromToken(this.adoToken);
     this.connection = new azdev.WebApi(this.orgUrl, authHandler);
-    this.workClient = await this.connection.getWorkApi();
+    this.workClient = ApiRetry.getDefault().wrap(await this.connection.getWorkApi());
+    this.trackingClient = ApiRetry.getDefault().wrap(await this.connection.getWorkItemTrackingApi());
   }
 
   /**
-   * Load all existing iterations into cache
+   * Load the project's iteration tree into cache
    */
   async loadExistingIterations() {
     if (this.cacheLoaded) return;
@@ -42,12 +70,21 @@ class IterationCreator {
     await this.initialize();
 
     try {
-      const teamContext = { project: this.project };
-      const iterations = await this.workClient.getTeamIterations(teamContext);
-      
-      iterations.forEach(iteration => {
-        this.existingIterations.set(iteration.name.toLowerCase(), iteration);
-      });
+      const root = await this.trackingClient.getClassificationNode(
+        this.project,
+        TreeStructureGroup.Iterations,
+        undefined,
+        10
+      );
+
+      const addChildren = (node, parentPath) => {
+        (node.children || []).forEach(child => {
+          const path = [...parentPath, child.name];
+          this.existingIterations.set(this.getCacheKey(path), child);
+          addChildren(child, path);
+        });
+      };
+      addChildren(root, []);
 
       this.cacheLoaded = true;
       console.log(`Loaded ${this.existingIterations.size} existing iterations from ADO`);
@@ -59,65 +96,122 @@ class IterationCreator {
   /**
    * Check if iteration exists
    * @param {string} iterationName - Name of the iteration
+   * @param {Date} startDate - Start date (for date placeholders of the template)
    * @returns {boolean} True if exists
    */
-  async iterationExists(iterationName) {
-    await this.loadExistingIterations();
-    return this.existingIterations.has(iterationName.toLowerCase());
+  async iterationExists(iterationName, startDate = null) {
+    return (await this.getIteration(iterationName, startDate)) !== null;
   }
 
   /**
    * Get existing iteration
    * @param {string} iterationName - Name of the iteration
-   * @returns {Object|null} Iteration object or null
+   * @param {Date} startDate - Start date (for date placeholders of the template)
+   * @returns {Object|null} Classification node or null
    */
-  async getIteration(iterationName) {
+  async getIteration(iterationName, startDate = null) {
     await this.loadExistingIterations();
-    return this.existingIterations.get(iterationName.toLowerCase()) || null;
+    const path = this.resolvePath(iterationName, startDate);
+    return path ? this.existingIterations.get(this.getCacheKey(path)) || null : null;
   }
 
   /**
    * Create an iteration in Azure DevOps
+   * Creates the missing nodes of its path, the last one with the dates, and adds it to the teams
    * @param {string} iterationName - Name of the iteration
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
-   * @param {string} path - Iteration path (default: project root)
-   * @returns {Object} Created iteration
+   * @returns {Object} Created (or existing) classification node
    */
-  async createIteration(iterationName, startDate, endDate, path = null) {
-    await this.initialize();
+  async createIteration(iterationName, startDate, endDate) {
+    await this.loadExistingIterations();
 
-    // Check if already exists
-    if (await this.iterationExists(iterationName)) {
-      console.log(`Iteration '${iterationName}' already exists, skipping creation`);
-      return await this.getIteration(iterationName);
+    const path = this.resolvePath(iterationName, startDate);
+    if (!path) {
+      console.log(`Warning: No start date for iteration '${iterationName}', the name template needs one, skipping creation`);
+      return null;
     }
 
+    const attributes = {
+      startDate: startDate ? this.formatDate(startDate) : null,
+      finishDate: endDate ? this.formatDate(endDate) : null
+    };
+
     try {
-      const teamContext = { project: this.project };
-      
-      const iteration = {
-        name: iterationName,
-        attributes: {
-          startDate: startDate ? this.formatDate(startDate) : null,
-          finishDate: endDate ? this.formatDate(endDate) : null
-        },
-        path: path || `\\${this.project}\\${iterationName}`
-      };
+      let node = null;
+      let created = false;
+
+      for (let depth = 1; depth <= path.length; depth++) {
+        const nodePath = path.slice(0, depth);
+        const key = this.getCacheKey(nodePath);
+        const isLeaf = depth === path.length;
+
+        node = this.existingIterations.get(key);
+        if (node) continue;
+        created = isLeaf;
+
+        node = await this.trackingClient.createOrUpdateClassificationNode(
+          { name: nodePath[depth - 1], attributes: isLeaf ? attributes : undefined },
+          this.project,
+          TreeStructureGroup.Iterations,
+          depth > 1 ? nodePath.slice(0, -1).join('\\') : undefined
+        );
+
+        // Add to cache
+        this.existingIterations.set(key, node);
+
+        console.log(isLeaf
+          ? `Created iteration: ${this.getIterationPath(iterationName, startDate)} (${attributes.startDate} to ${attributes.finishDate})`
+          : `Created iteration folder: ${this.project}\\${nodePath.join('\\')}`);
+      }
 
-      const created = await this.workClient.postTeamIteration(iteration, teamContext);
-      
-      // Add to cache
-      this.existingIterations.set(iterationName.toLowerCase(), created);
-      
-      console.log(`Created iteration: ${iterationName} (${startDate} to ${endDate})`);
-      return created;
+      if (!created && !node.attributes?.startDate && attributes.startDate) {
+        // Existing iteration without dates (e.g. created by hand)
+        node = await this.trackingClient.updateClassificationNode(
+          { attributes },
+          this.project,
+          TreeStructureGroup.Iterations,
+          path.join('\\')
+        );
+        this.existingIterations.set(this.getCacheKey(path), node);
+      }
+
+      await this.addToTeams(node);
+      return node;
     } catch (error) {
       console.error(`Error creating iteration '${iterationName}':`, error.message);
       return null;
     }
   }
 
+  /**
+   * Add an iteration to the configured teams (Team settings → Iterations)
+   * Teams only see the iterations they are subscribed to on their boards and backlogs
+   * @param {Object} node - Classification node of the iteration
+   */
+  async addToTeams(node) {
+    for (const team of this.teams) {
+      const teamContext = team ? { project: this.project, team } : { project: this.project };
+      const teamName = team || 'default team';
+
+      try {
+        if (!this.teamIterations.has(teamName)) {
+          const iterations = await this.workClient.getTeamIterations(teamContext);
+          this.teamIterations.set(teamName, new Set(iterations.map(iteration => iteration.id)));
+        }
+
+        const subscribed = this.teamIterations.get(teamName);
+        if (subscribed.has(node.identifier)) continue;
+
+        await this.workClient.postTeamIteration({ id: node.identifier }, teamContext);
+        subscribed.add(node.identifier);
+        console.log(`Added iteration '${node.name}' to ${teamName}`);
+      } catch (error) {
+        console.error(`Error adding iteration '${node.name}' to ${teamName}:`, error.message);
+      }
+    }
+  }
+
   /**
    * Parse sprint name to extract dates
    * Examples:
@@ -181,7 +275,8 @@ class IterationCreator {
       if (match.length === 7) {
         return {
           startDate: new Date(match[1], parseInt(match[2]) - 1, match[3]),
-          endDate: new Date(match[4], parseInt(match[5]) - 1, match[6])
+          endDate: new Date(match[4], parseInt(match[5]) - 1, match[6]),
+          yearKnown: true
         };
       }
     } catch (error) {
@@ -214,19 +309,17 @@ class IterationCreator {
   }
 
   /**
-   * Create iteration from sprint info
+   * Get the dates of a sprint
    * @param {Object} sprintInfo - Sprint information from GitHub Projects
    * @param {number} defaultDuration - Default duration in days if dates not available
-   * @returns {Object} Created/existing iteration
+   * @returns {Object} { startDate, endDate, datesKnown }, datesKnown is false when the dates
+   *   are defaults or lack a year (they may differ on the next run)
    */
-  async createFromSprintInfo(sprintInfo, defaultDuration = 14) {
-    if (!sprintInfo || !sprintInfo.name) {
-      return null;
-    }
-
+  getSprintDates(sprintInfo, defaultDuration = 14) {
     // Check if we have explicit dates from GitHub Projects
     let startDate = sprintInfo.startDate ? new Date(sprintInfo.startDate) : null;
     let endDate = null;
+    let datesKnown = !!startDate;
 
     if (startDate && sprintInfo.duration) {
       // Calculate end date from start + duration
@@ -238,6 +331,7 @@ class IterationCreator {
       if (parsed) {
         startDate = parsed.startDate;
         endDate = parsed.endDate;
+        datesKnown = !!parsed.yearKnown;
       }
     }
 
@@ -249,6 +343,27 @@ class IterationCreator {
       console.log(`Warning: No dates found for sprint '${sprintInfo.name}', using defaults`);
     }
 
+    return { startDate, endDate, datesKnown };
+  }
+
+  /**
+   * Create iteration from sprint info
+   * @param {Object} sprintInfo - Sprint information from GitHub Projects
+   * @param {number} defaultDuration - Default duration in days if dates not available
+   * @returns {Object} Created/existing iteration
+   */
+  async createFromSprintInfo(sprintInfo, defaultDuration = 14) {
+    if (!sprintInfo || !sprintInfo.name) {
+      return null;
+    }
+
+    const { startDate, endDate, datesKnown } = this.getSprintDates(sprintInfo, defaultDuration);
+
+    if (!datesKnown && this.usesDates()) {
+      console.log(`Warning: No dates for sprint '${sprintInfo.name}', the name template needs them, skipping creation`);
+      return null;
+    }
+
     // Create the iteration
     return await this.createIteration(sprintInfo.name, startDate, endDate);
   }
@@ -280,10 +395,66 @@ class IterationCreator {
   /**
    * Get iteration path for a sprint name
    * @param {string} sprintName - Sprint name
-   * @returns {string} Iteration path
+   * @param {Date} startDate - Start date (for date placeholders of the template)
+   * @returns {string|null} Iteration path (null if the template needs the missing start date)
    */
-  getIterationPath(sprintName) {
-    return `${this.project}\\${sprintName}`;
+  getIterationPath(sprintName, startDate = null) {
+    const path = this.resolvePath(sprintName, startDate);
+    return path ? [this.project, ...path].join('\\') : null;
+  }
+
+  /**
+   * Check if the name template uses the start date ({year}, {quarter}, {month})
+   * Iterations without real dates can't be placed by such a template
+   */
+  usesDates() {
+    return DATE_PLACEHOLDERS.test(this.nameTemplate);
+  }
+
+  /**
+   * Node names from the project's iteration root down to the iteration
+   * Placeholders of the name template:
+   *   {name}    - sprint or milestone name
+   *   {number}  - first number in the name (the name if it has none), also {n}
+   *   {year}, {quarter}, {month} - of the start date
+   * Example: "{year}\\Q{quarter}\\Sprint {number}" → ["2024", "Q4", "Sprint 68"]
+   * @returns {Array<string>|null} null if the template uses the start date and there is none
+   */
+  resolvePath(iterationName, startDate = null) {
+    if (!startDate && this.usesDates()) return null;
+
+    const number = iterationName.match(/\d+/);
+
+    const values = {
+      name: iterationName,
+      number: number ? number[0] : iterationName,
+      n: number ? number[0] : iterationName
+    };
+
+    if (startDate) {
+      const date = new Date(startDate);
+      values.year = String(date.getFullYear());
+      values.quarter = String(Math.floor(date.getMonth() / 3) + 1);
+      values.month = String(date.getMonth() + 1).padStart(2, '0');
+    }
+
+    const names = this.splitPath(this.nameTemplate)
+      .map(segment => segment.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder))
+      .map(name => name.replace(INVALID_NODE_CHARS, '-').trim())
+      .filter(Boolean);
+
+    return [...this.rootPath, ...(names.length > 0 ? names : [iterationName.replace(INVALID_NODE_CHARS, '-')])];
+  }
+
+  /**
+   * Split an iteration path into node names
+   */
+  splitPath(path) {
+    return path.split(/[\\/]/).map(name => name.trim()).filter(Boolean);
+  }
+
+  getCacheKey(path) {
+    return path.join('\\').toLowerCase();
   }
 
   /**
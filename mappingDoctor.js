@@ -0,0 +1,210 @@
+/**
+ * Mapping Doctor
+ *
+ * Checks the state mapping JSON and the work item types in config.js against
+ * the live ADO process and the GitHub Projects status options, before a migration fails on them
+ */
+
+class MappingDoctor {
+  /**
+   * @param {Object} stateMapper - StateMapper with the mapping to check
+   * @param {Object} config - Settings (config.js)
+   */
+  constructor(stateMapper, config) {
+    this.stateMapper = stateMapper;
+    this.config = config;
+  }
+
+  /**
+   * Run all checks
+   * @param {Array<Object>} adoWorkItemTypes - Work item types of the ADO project (getWorkItemTypes)
+   * @param {Array<Object>} githubProjects - [{ title, number, field, options }] (getProjectStatusOptions)
+   * @returns {Array<Object>} Problems: [{ level: "error"|"warning", message }]
+   */
+  check(adoWorkItemTypes, githubProjects = []) {
+    const types = MappingDoctor.indexWorkItemTypes(adoWorkItemTypes);
+
+    return [
+      ...this.checkWorkItemTypes(types),
+      ...this.checkStates(types),
+      ...this.checkPullRequestStates(types),
+      ...this.checkProjectStatuses(githubProjects)
+    ];
+  }
+
+  /**
+   * Index ADO work item types by name
+   * @returns {Map<string, Object>} Name → { name, disabled, states: [state names] }
+   */
+  static indexWorkItemTypes(adoWorkItemTypes) {
+    const types = new Map();
+
+    (adoWorkItemTypes || []).forEach(type => {
+      types.set(type.name, {
+        name: type.name,
+        disabled: !!type.isDisabled,
+        states: (type.states || []).map(state => state.name)
+      });
+    });
+
+    return types;
+  }
+
+  /**
+   * Every work item type the sync can create must exist (and be enabled) in the ADO project
+   */
+  checkWorkItemTypes(types) {
+    const usedTypes = new Map();
+    const use = (typeName, source) => {
+      if (typeName && !usedTypes.has(typeName)) usedTypes.set(typeName, source);
+    };
+
+    this.stateMapper.listMappings()
+      .filter(mapping => mapping.workItemType)
+      .forEach(mapping => use(mapping.workItemType, mapping.source));
+
+    const typeRules = this.config.workItemTypes;
+    typeRules.patterns
+      .forEach((entry, index) => use(entry.type, `config.workItemTypes.patterns[${index}]`));
+    for (const setting of ['labelFallbacks', 'issueTypes', 'templates']) {
+      Object.entries(typeRules[setting] || {})
+        .forEach(([key, typeName]) => use(typeName, `config.workItemTypes.${setting}["${key}"]`));
+    }
+    Object.entries(typeRules.projectFields || {}).forEach(([fieldName, values]) => {
+      Object.entries(values)
+        .forEach(([value, typeName]) => use(typeName, `config.workItemTypes.projectFields["${fieldName}"]["${value}"]`));
+    });
+    use(typeRules.default, 'config.workItemTypes.default');
+
+    if (this.config.features.syncPullRequests && this.config.pullRequests.createWorkItems) {
+      use(this.config.pullRequests.workItemType, 'config.pullRequests.workItemType');
+    }
+
+    const problems = [];
+
+    usedTypes.forEach((source, typeName) => {
+      const type = types.get(typeName);
+
+      if (!type) {
+        problems.push(MappingDoctor.error(`Work item type "${typeName}" doesn't exist in the ADO project (${source}); available: ${Array.from(types.keys()).join(', ')}`));
+      } else if (type.disabled) {
+        problems.push(MappingDoctor.error(`Work item type "${typeName}" is disabled in the ADO process (${source})`));
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Every mapped ADO state must be a state of its work item type
+   * Global settings apply to every type in the mapping, so they are checked against each
+   */
+  checkStates(types) {
+    const mappings = this.stateMapper.listMappings();
+    const mappedTypes = [...new Set(mappings.map(mapping => mapping.workItemType).filter(typeName => types.has(typeName)))];
+    const problems = [];
+
+    mappings.forEach(mapping => {
+      const typeNames = mapping.workItemType ? [mapping.workItemType] : mappedTypes;
+
+      typeNames
+        .filter(typeName => types.has(typeName) && !types.get(typeName).states.includes(mapping.adoState))
+        .forEach(typeName => problems.push(MappingDoctor.error(
+          `State "${mapping.adoState}" isn't a state of "${typeName}" (${mapping.source}); states: ${types.get(typeName).states.join(', ')}`
+        )));
+    });
+
+    return problems;
+  }
+
+  /**
+   * config.pullRequests.stateMapping must use states of the PR work item type
+   */
+  checkPullRequestStates(types) {
+    const type = types.get(this.config.pullRequests.workItemType);
+    if (!type || !this.config.features.syncPullRequests || !this.config.pullRequests.createWorkItems) return [];
+
+    return Object.entries(this.config.pullRequests.stateMapping)
+      .filter(([, adoState]) => !type.states.includes(adoState))
+      .map(([prState, adoState]) => MappingDoctor.error(
+        `State "${adoState}" isn't a state of "${type.name}" (config.pullRequests.stateMapping.${prState}); states: ${type.states.join(', ')}`
+      ));
+  }
+
+  /**
+   * Every status option of the synced GitHub Projects should have a mapping
+   * (unmapped statuses fall back to "No status" or globalSettings.unmappedStatusFallback)
+   */
+  checkProjectStatuses(githubProjects) {
+    const mappings = this.stateMapper.listMappings();
+    const problems = [];
+
+    githubProjects.forEach(project => {
+      const projectName = project.title.toLowerCase();
+      const label = `GitHub project "${project.title}" (#${project.number})`;
+      const projectMappings = mappings.filter(mapping => mapping.projectName === projectName && mapping.issueState === 'open');
+
+      if (!project.field) {
+        problems.push(MappingDoctor.warning(`${label} has no Status, State or Column field`));
+        return;
+      }
+
+      if (projectMappings.length === 0) {
+        problems.push(MappingDoctor.warning(`${label} has no entry in the state mapping projects; all its statuses use the global fallback`));
+        return;
+      }
+
+      const workItemTypes = [...new Set(projectMappings.map(mapping => mapping.workItemType))];
+
+      workItemTypes.forEach(typeName => {
+        const mappedStatuses = projectMappings
+          .filter(mapping => mapping.workItemType === typeName)
+          .map(mapping => mapping.status);
+
+        project.options
+          .filter(option => !mappedStatuses.includes(option))
+          .forEach(option => problems.push(MappingDoctor.warning(
+            `${label} status "${option}" has no mapping for open "${typeName}" items (projects.${projectName}.statusMappings)`
+          )));
+
+        mappedStatuses
+          .filter(status => !['*', 'No status', 'No Status'].includes(status) && !project.options.includes(status))
+          .forEach(status => problems.push(MappingDoctor.warning(
+            `Mapped status "${status}" for "${typeName}" isn't an option of ${label} ${project.field} field`
+          )));
+      });
+    });
+
+    return problems;
+  }
+
+  static error(message) {
+    return { level: 'error', message };
+  }
+
+  static warning(message) {
+    return { level: 'warning', message };
+  }
+
+  /**
+   * Log the problems found
+   * @returns {number} Number of errors
+   */
+  static logReport(problems) {
+    const errors = problems.filter(problem => problem.level === 'error');
+    const warnings = problems.filter(problem => problem.level === 'warning');
+
+    errors.forEach(problem => console.error(`❌ ${problem.message}`));
+    warnings.forEach(problem => console.log(`⚠️  ${problem.message}`));
+
+    if (problems.length === 0) {
+      console.log('✅ State mapping matches the ADO process and GitHub Projects');
+    } else {
+      console.log(`🩺 ${errors.length} errors, ${warnings.length} warnings`);
+    }
+
+    return errors.length;
+  }
+}
+
+module.exports = MappingDoctor;
@@ -0,0 +1,156 @@
+/**
+ * Migration Checkpoint Utility
+ *
+ * Persists bulk migration progress every few issues so an interrupted
+ * migration can be resumed (MIGRATION_MODE=resume) without starting over
+ */
+
+const fs = require('fs');
+
+class MigrationCheckpoint {
+  /**
+   * @param {string|null} checkpointPath - File to write (null: keep progress in memory only)
+   * @param {number} saveInterval - Issues recorded between writes (config.migration.checkpointInterval);
+   *   an interrupted run redoes the issues recorded since the last write
+   */
+  constructor(checkpointPath, saveInterval = 1) {
+    this.checkpointPath = checkpointPath;
+    this.saveInterval = saveInterval;
+    this.unsaved = 0;
+    this.reset();
+  }
+
+  /**
+   * Clear all progress
+   */
+  reset() {
+    this.mode = null;
+    this.repository = null;
+    this.runs = [];
+    this.outcomes = new Map();
+  }
+
+  /**
+   * Start a new migration, discarding any previous checkpoint
+   * @param {string} mode - Bulk migration mode (bulk_all, bulk_open, bulk_closed)
+   * @param {string} repository - "owner/repo"
+   */
+  start(mode, repository) {
+    this.reset();
+    this.mode = mode;
+    this.repository = repository;
+    this.save();
+  }
+
+  /**
+   * Load checkpoint from disk
+   * @returns {boolean} True if a checkpoint was found
+   */
+  load() {
+    if (!this.checkpointPath || !fs.existsSync(this.checkpointPath)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.checkpointPath, 'utf8'));
+      this.mode = data.mode;
+      this.repository = data.repository;
+      this.runs = data.runs || [];
+      this.outcomes = new Map((data.outcomes || []).map(outcome => [outcome.number, outcome]));
+      return true;
+    } catch (error) {
+      console.error(`Error loading checkpoint from ${this.checkpointPath}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write checkpoint to disk
+   */
+  save() {
+    this.unsaved = 0;
+    if (!this.checkpointPath) return;
+
+    const data = {
+      version: "1.0",
+      mode: this.mode,
+      repository: this.repository,
+      runs: this.runs,
+      outcomes: Array.from(this.outcomes.values())
+    };
+
+    fs.writeFileSync(this.checkpointPath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Write outcomes recorded since the last save
+   */
+  flush() {
+    if (this.unsaved > 0) this.save();
+  }
+
+  /**
+   * Register the start of a (resumed) run
+   */
+  beginRun() {
+    this.runs.push({ startedAt: new Date().toISOString(), finishedAt: null, processed: 0 });
+    this.save();
+  }
+
+  /**
+   * Register the end of the current run
+   */
+  endRun() {
+    const run = this.runs[this.runs.length - 1];
+    if (run) run.finishedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Record the outcome for an issue, saved every saveInterval issues
+   * @param {Object} outcome - { number, title, status: "created"|"updated"|"failed", workItemId, error,
+   *   apiError: ApiError.toJSON() of the API call that failed }
+   */
+  record(outcome) {
+    this.outcomes.set(outcome.number, {
+      ...outcome,
+      run: this.runs.length,
+      processedAt: new Date().toISOString()
+    });
+
+    const run = this.runs[this.runs.length - 1];
+    if (run) run.processed++;
+
+    this.unsaved++;
+    if (this.unsaved >= this.saveInterval) this.save();
+  }
+
+  /**
+   * Check if an issue was already migrated successfully
+   * Failed issues are retried on resume
+   */
+  isDone(issueNumber) {
+    const outcome = this.outcomes.get(issueNumber);
+    return !!outcome && outcome.status !== 'failed';
+  }
+
+  /**
+   * Get summary across all runs
+   * @returns {Object} { created, updated, failed, processed, runs, failedIssues }
+   */
+  getSummary() {
+    const outcomes = Array.from(this.outcomes.values());
+    const failedIssues = outcomes.filter(outcome => outcome.status === 'failed');
+
+    return {
+      created: outcomes.filter(outcome => outcome.status === 'created').length,
+      updated: outcomes.filter(outcome => outcome.status === 'updated').length,
+      failed: failedIssues.length,
+      processed: outcomes.length,
+      runs: this.runs.length,
+      failedIssues
+    };
+  }
+}
+
+module.exports = MigrationCheckpoint;
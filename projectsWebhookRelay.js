@@ -0,0 +1,198 @@
+/**
+ * GitHub Projects Webhook Relay
+ *
+ * projects_v2_item events only exist as organization webhooks, they can't trigger a
+ * workflow. This relay receives them and forwards each issue item to its repository as a
+ * repository_dispatch event ("projects_v2_item"), which runs the sync workflow there:
+ *
+ *   node projectsWebhookRelay.js                          # listen on GITHUB_HOOK_PORT
+ *   node projectsWebhookRelay.js payload.json --dry-run   # replay, print the target repository
+ *
+ * Deliveries must be signed with GITHUB_HOOK_SECRET; unsigned payload files are only
+ * replayed as dry runs
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/rest');
+
+const config = require('./config');
+const GitHubProjectsClient = require('./githubProjects');
+const { ApiRetry } = require('./apiRetry');
+
+const EVENT_NAME = 'projects_v2_item';
+
+class ProjectsWebhookRelay {
+  /**
+   * @param {Object} options
+   * @param {string} options.githubToken - GitHub token (read:project, repo to send dispatch events)
+   * @param {string} options.secret - Webhook secret (X-Hub-Signature-256, required to listen)
+   * @param {boolean} options.dryRun - Resolve the target without sending the dispatch event
+   */
+  constructor({ githubToken, secret = null, dryRun = false }) {
+    this.projectsClient = new GitHubProjectsClient(githubToken, config.projects.projectIds);
+    this.octokit = ApiRetry.getDefault().wrapOctokit(new Octokit({ auth: githubToken }));
+    this.secret = secret;
+    this.dryRun = dryRun;
+  }
+
+  /**
+   * Handle a projects_v2_item webhook payload
+   * @returns {Object} { handled, reason, repository, issue }
+   */
+  async handlePayload(payload) {
+    const item = payload?.projects_v2_item;
+
+    if (!item) {
+      return { handled: false, reason: 'Not a projects_v2_item payload' };
+    }
+    if (!config.projectEvents.actions.includes(payload.action)) {
+      return { handled: false, reason: `Ignored action: ${payload.action}` };
+    }
+    if (item.content_type !== 'Issue') {
+      return { handled: false, reason: `Ignored content type: ${item.content_type}` };
+    }
+
+    const issueRef = await this.projectsClient.getProjectItemIssue(item.content_node_id, item.project_node_id);
+    if (!issueRef) {
+      return { handled: false, reason: `Content ${item.content_node_id} is not an issue` };
+    }
+
+    const projectIds = config.projects.projectIds;
+    if (projectIds.length > 0 && !projectIds.includes(issueRef.projectNumber)) {
+      return { handled: false, reason: `GitHub project #${issueRef.projectNumber} is not in config.projects.projectIds` };
+    }
+
+    const repository = `${issueRef.owner}/${issueRef.repo}`;
+    console.log(`📋 Project #${issueRef.projectNumber} item ${payload.action} → ${repository}#${issueRef.number}`);
+
+    if (!this.dryRun) {
+      // client_payload allows 10 top-level keys; the sync only needs these
+      await this.octokit.repos.createDispatchEvent({
+        owner: issueRef.owner,
+        repo: issueRef.repo,
+        event_type: EVENT_NAME,
+        client_payload: {
+          action: payload.action,
+          projects_v2_item: item,
+          changes: payload.changes || null,
+          sender: { login: payload.sender?.login || null }
+        }
+      });
+    }
+
+    return { handled: true, repository, issue: issueRef.number };
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw body
+   */
+  isAuthorized(request, body) {
+    if (!this.secret) return false;
+
+    const signature = request.headers['x-hub-signature-256'] || '';
+    const expected = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  /**
+   * Create the HTTP server (POST any path with the webhook delivery)
+   */
+  createServer() {
+    return http.createServer((request, response) => {
+      if (request.method !== 'POST') {
+        response.writeHead(405).end();
+        return;
+      }
+
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', async () => {
+        const body = Buffer.concat(chunks);
+
+        if (!this.isAuthorized(request, body)) {
+          response.writeHead(401).end();
+          return;
+        }
+
+        // Ping and other events of the same webhook
+        const eventName = request.headers['x-github-event'];
+        if (eventName !== EVENT_NAME) {
+          response.writeHead(202, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({ handled: false, reason: `Ignored event: ${eventName}` }));
+          return;
+        }
+
+        try {
+          const result = await this.handlePayload(JSON.parse(body.toString('utf8')));
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify(result));
+        } catch (error) {
+          console.error('❌ Error relaying project item event:', error.message);
+          response.writeHead(500, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({ handled: false, reason: error.message }));
+        }
+      });
+    });
+  }
+
+  /**
+   * Start listening for webhook deliveries
+   * Deliveries trigger repository_dispatch with the relay's token, so it only runs with a secret
+   */
+  listen(port = config.projectEvents.port) {
+    if (!this.secret) {
+      throw new Error('GITHUB_HOOK_SECRET is required to listen for webhooks');
+    }
+
+    const server = this.createServer();
+    server.listen(port, () => console.log(`👂 Listening for GitHub Projects webhooks on port ${port}`));
+    return server;
+  }
+}
+
+// === COMMAND LINE ===
+if (require.main === module) {
+  const env = process.env;
+  const args = process.argv.slice(2);
+  const payloadFile = args.find(arg => !arg.startsWith('--'));
+
+  const relay = new ProjectsWebhookRelay({
+    githubToken: env.github_token,
+    secret: env.GITHUB_HOOK_SECRET || null,
+    dryRun: args.includes('--dry-run')
+  });
+
+  if (!config.projectEvents.enabled) {
+    console.log('ℹ️  Project item events are disabled in config.projectEvents');
+  } else if (payloadFile && !relay.dryRun) {
+    console.error('❌ Payload files are not signed, replay them with --dry-run');
+    process.exitCode = 1;
+  } else if (payloadFile) {
+    // Replay recorded payload(s)
+    const data = JSON.parse(fs.readFileSync(payloadFile, 'utf8'));
+    const payloads = Array.isArray(data) ? data : [data];
+
+    (async () => {
+      for (const payload of payloads) {
+        const result = await relay.handlePayload(payload);
+        console.log(JSON.stringify(result, null, 2));
+      }
+    })().catch(error => {
+      console.error('❌ Error replaying payload:', error.message);
+      process.exitCode = 1;
+    });
+  } else {
+    try {
+      relay.listen(parseInt(env.GITHUB_HOOK_PORT || config.projectEvents.port));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+module.exports = ProjectsWebhookRelay;
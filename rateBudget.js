@@ -0,0 +1,88 @@
+/**
+ * Rate Budget Utility
+ *
+ * Token buckets shared by every worker of a bulk migration, one per API
+ * (GitHub REST, GitHub GraphQL, ADO). Each request takes a token; when a bucket
+ * is empty the request waits until the bucket refills at its rate
+ */
+
+const SERVICES = ['githubRest', 'githubGraphql', 'ado'];
+
+const SERVICE_NAMES = {
+  githubRest: 'GitHub REST',
+  githubGraphql: 'GitHub GraphQL',
+  ado: 'ADO'
+};
+
+class RateBudget {
+  /**
+   * @param {Object} settings - { githubRest, githubGraphql, ado: { requestsPerSecond, burst } } (config.rateLimiting.budget)
+   */
+  constructor(settings) {
+    this.buckets = {};
+
+    SERVICES.forEach(service => {
+      const { requestsPerSecond, burst } = settings[service];
+      this.buckets[service] = {
+        rate: requestsPerSecond / 1000,
+        capacity: burst,
+        tokens: burst,
+        updatedAt: Date.now(),
+        pausedUntil: 0,
+        requests: 0
+      };
+    });
+  }
+
+  /**
+   * Take a token, waiting for it if the bucket is empty
+   * Tokens are reserved in call order (the bucket goes below zero), so waiting requests keep their turn
+   * @param {string} service - "githubRest", "githubGraphql" or "ado"
+   */
+  async take(service) {
+    const bucket = this.buckets[service];
+    if (!bucket) return;
+
+    this.refill(bucket);
+    bucket.tokens--;
+    bucket.requests++;
+
+    const now = Date.now();
+    const wait = Math.max(bucket.tokens < 0 ? -bucket.tokens / bucket.rate : 0, bucket.pausedUntil - now);
+
+    if (wait > 0) {
+      await sleep(Math.ceil(wait));
+    }
+  }
+
+  /**
+   * Hold every request to a service, after it answered with a rate limit
+   * @param {number} ms - How long the service asked to wait
+   */
+  pause(service, ms) {
+    const bucket = this.buckets[service];
+    if (!bucket) return;
+
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  }
+
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.rate);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Requests made per service
+   * @returns {Object} { "GitHub REST": n, "GitHub GraphQL": n, "ADO": n }
+   */
+  getStats() {
+    return Object.fromEntries(SERVICES.map(service => [SERVICE_NAMES[service], this.buckets[service].requests]));
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = RateBudget;
@@ -17,6 +17,9 @@ class StateMapper {
       // Default fallback configuration
       this.config = this.getDefaultConfig();
     }
+
+    // "project/work item type" → { fromState: [toState, ...] } ("" = creation), null if unavailable
+    this.transitions = new Map();
   }
 
   /**
@@ -83,6 +86,63 @@ class StateMapper {
     return fallbacks[issueState] || (issueState === 'closed' ? 'Done' : 'New');
   }
 
+  /**
+   * Reverse-map an ADO state to a GitHub issue state (for ADO → GitHub sync)
+   *
+   * @param {string} workItemType - ADO work item type
+   * @param {string} adoState - ADO state (e.g., "Committed", "Done")
+   * @param {string} projectName - GitHub project name (siwar, falak, balsam)
+   * @returns {Object|null} { issueState: "open"|"closed", projectStatus } or null if unmapped
+   */
+  getGithubState(workItemType, adoState, projectName = null) {
+    if (!adoState) return null;
+
+    projectName = (projectName || this.config.defaultProject).toLowerCase();
+    const project = this.config.projects[projectName];
+    const statusMappings = project?.statusMappings?.[workItemType];
+
+    if (statusMappings) {
+      // States used for closed issues win ("Done" is also "In Production" for open issues)
+      if (Object.values(statusMappings.closed || {}).includes(adoState)) {
+        return { issueState: 'closed', projectStatus: null };
+      }
+
+      const openMap = statusMappings.open || {};
+      const projectStatus = Object.keys(openMap).find(status => openMap[status] === adoState);
+      if (projectStatus) {
+        return { issueState: 'open', projectStatus };
+      }
+    }
+
+    // Global fallback
+    const fallbacks = this.config.globalSettings.unmappedStatusFallback;
+    const closedStates = [fallbacks.closed, ...Object.values(this.config.globalSettings.closedIssueHandling || {})];
+
+    if (closedStates.includes(adoState)) {
+      return { issueState: 'closed', projectStatus: null };
+    }
+    if (adoState === fallbacks.open) {
+      return { issueState: 'open', projectStatus: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get project name for an ADO area path (reverse of getAreaPath)
+   */
+  getProjectByAreaPath(areaPath) {
+    if (!areaPath) return null;
+
+    for (const [projectName, project] of Object.entries(this.config.projects)) {
+      if (project.adoAreaPath && (areaPath === project.adoAreaPath || areaPath.startsWith(`${project.adoAreaPath}\\`))) {
+        return projectName;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get ADO area path for a project
    */
@@ -99,39 +159,132 @@ class StateMapper {
   }
 
   /**
-   * Get work item type based on GitHub issue title
+   * Load the allowed state transitions of a work item type from ADO (cached per type)
+   * @param {Function} getClient - Async factory for the ADO WorkItemTrackingApi client (not called when cached)
+   * @returns {Object|null} { fromState: [toState, ...] } or null if they couldn't be loaded
    */
-  getWorkItemType(issueTitle, labels = []) {
-    // Check title prefixes from config
-    const typeMapping = this.config.workItemTypeMapping;
-    
-    for (const [prefix, adoType] of Object.entries(typeMapping)) {
-      if (prefix === 'default') continue;
-      
-      // Case-insensitive match at start of title
-      const regex = new RegExp(`^\\${prefix}`, 'i');
-      if (regex.test(issueTitle)) {
-        return adoType;
+  async loadTransitions(getClient, project, workItemType) {
+    const key = `${project}/${workItemType}`.toLowerCase();
+    if (this.transitions.has(key)) {
+      return this.transitions.get(key);
+    }
+
+    let transitions = null;
+
+    try {
+      const witClient = await getClient();
+      const type = await witClient.getWorkItemType(project, workItemType);
+
+      transitions = {};
+      Object.entries(type.transitions || {}).forEach(([fromState, targets]) => {
+        transitions[fromState] = (targets || []).map(target => target.to);
+      });
+    } catch (error) {
+      console.error(`Error loading state transitions for ${workItemType}:`, error.message);
+    }
+
+    this.transitions.set(key, transitions);
+    return transitions;
+  }
+
+  /**
+   * Get the states to go through to reach a state (shortest path in the workflow)
+   *
+   * @param {Object|null} transitions - From loadTransitions()
+   * @param {string} fromState - Current state ("" for a new work item)
+   * @param {string} toState - Target state
+   * @returns {Array<string>} States in order, ending with toState; [toState] if the
+   *   transitions are unknown or there is no path (ADO decides)
+   */
+  getTransitionPath(transitions, fromState, toState) {
+    if (fromState === toState) return [];
+    if (!transitions || !transitions[fromState] || transitions[fromState].includes(toState)) {
+      return [toState];
+    }
+
+    // Breadth-first search, remembering where each state was reached from
+    const previous = new Map([[fromState, null]]);
+    const queue = [fromState];
+
+    while (queue.length > 0) {
+      const state = queue.shift();
+
+      for (const next of transitions[state] || []) {
+        if (previous.has(next)) continue;
+        previous.set(next, state);
+
+        if (next === toState) {
+          const path = [];
+          for (let step = toState; step !== fromState; step = previous.get(step)) {
+            path.unshift(step);
+          }
+          return path;
+        }
+
+        queue.push(next);
       }
     }
 
-    // Check labels as fallback
-    const labelMap = {
-      'epic': 'Epic',
-      'bug': 'Bug',
-      'user-story': 'Product Backlog Item',
-      'task': 'Task'
-    };
+    console.log(`Warning: No transition path from "${fromState}" to "${toState}"`);
+    return [toState];
+  }
 
-    for (const label of labels) {
-      const labelLower = label.toLowerCase();
-      if (labelMap[labelLower]) {
-        return labelMap[labelLower];
+  /**
+   * Get the reason to set when moving a work item into a state
+   * From globalSettings.transitionReasons: { "<work item type>" or "*": { "<state>": "<reason>" } }
+   * @returns {string|null} Reason, or null to let ADO use the transition's default reason
+   */
+  getTransitionReason(workItemType, toState) {
+    const reasons = this.config.globalSettings?.transitionReasons || {};
+    return reasons[workItemType]?.[toState] || reasons["*"]?.[toState] || null;
+  }
+
+  /**
+   * List every ADO state named in the mapping (for checking it against the ADO process)
+   * @returns {Array<Object>} [{ source, projectName, workItemType, issueState, status, adoState }];
+   *   workItemType is null for global settings, which apply to every type
+   */
+  listMappings() {
+    const mappings = [];
+    const globalSettings = this.config.globalSettings || {};
+
+    for (const [projectName, project] of Object.entries(this.config.projects || {})) {
+      for (const [workItemType, statusMappings] of Object.entries(project.statusMappings || {})) {
+        for (const [issueState, stateMap] of Object.entries(statusMappings || {})) {
+          for (const [status, adoState] of Object.entries(stateMap || {})) {
+            mappings.push({
+              source: `projects.${projectName}.statusMappings["${workItemType}"].${issueState}["${status}"]`,
+              projectName: projectName.toLowerCase(),
+              workItemType,
+              issueState,
+              status,
+              adoState
+            });
+          }
+        }
+      }
+    }
+
+    for (const settingName of ['unmappedStatusFallback', 'closedIssueHandling']) {
+      for (const [key, adoState] of Object.entries(globalSettings[settingName] || {})) {
+        mappings.push({ source: `globalSettings.${settingName}.${key}`, projectName: null, workItemType: null, issueState: null, status: null, adoState });
+      }
+    }
+
+    for (const [workItemType, reasons] of Object.entries(globalSettings.transitionReasons || {})) {
+      for (const adoState of Object.keys(reasons || {})) {
+        mappings.push({
+          source: `globalSettings.transitionReasons["${workItemType}"]`,
+          projectName: null,
+          workItemType: workItemType === '*' ? null : workItemType,
+          issueState: null,
+          status: null,
+          adoState
+        });
       }
     }
 
-    // Return default
-    return typeMapping.default || 'Product Backlog Item';
+    return mappings;
   }
 
   /**
@@ -177,15 +330,8 @@ class StateMapper {
         "unmappedStatusFallback": {
           "open": "New",
           "closed": "Done"
-        }
-      },
-      "workItemTypeMapping": {
-        "[Epic]": "Epic",
-        "[Story]": "Product Backlog Item",
-        "[Request]": "Product Backlog Item",
-        "[IMPROVEMENT]": "Product Backlog Item",
-        "[Bug]": "Bug",
-        "default": "Product Backlog Item"
+        },
+        "transitionReasons": {}
       },
       "projects": {
         "siwar": {
@@ -0,0 +1,344 @@
+/**
+ * User Mapping Discovery
+ *
+ * Proposes a GitHub → ADO user mapping by matching the members of the GitHub
+ * organization (login, name, public and verified-domain emails) against the
+ * users of the ADO organization (email, display name)
+ */
+
+const fs = require('fs');
+const { graphql } = require('@octokit/graphql');
+const { ApiRetry } = require('./apiRetry');
+
+// Weakest first; minConfidence keeps a level and everything after it
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+class UserDiscovery {
+  /**
+   * @param {Object} settings - config.userMapping.discovery
+   * @param {string} githubToken - GitHub token (read:org for members and verified emails)
+   * @param {string} adoToken - ADO personal access token (Graph read)
+   * @param {string} orgUrl - ADO organization URL
+   */
+  constructor(settings, githubToken, adoToken, orgUrl) {
+    this.settings = settings;
+    this.adoToken = adoToken;
+    this.orgUrl = orgUrl;
+
+    this.retry = ApiRetry.getDefault();
+    this.graphqlWithAuth = this.retry.wrapGraphql(graphql.defaults({
+      headers: {
+        authorization: `token ${githubToken}`,
+      },
+    }));
+  }
+
+  /**
+   * Get the members of a GitHub organization
+   * Verified-domain emails need an org member's token; without them only public emails are used
+   * @returns {Array<Object>} [{ login, name, emails: [lowercase emails] }]
+   */
+  async getGithubMembers(org) {
+    try {
+      return await this.queryGithubMembers(org, true);
+    } catch (error) {
+      console.log(`⚠️  Verified domain emails not available (${error.message}), using public emails only`);
+      return this.queryGithubMembers(org, false);
+    }
+  }
+
+  async queryGithubMembers(org, includeVerifiedEmails) {
+    const query = `
+      query($org: String!, $cursor: String) {
+        organization(login: $org) {
+          membersWithRole(first: 100, after: $cursor) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              login
+              name
+              email
+              ${includeVerifiedEmails ? 'organizationVerifiedDomainEmails(login: $org)' : ''}
+            }
+          }
+        }
+      }
+    `;
+
+    const members = [];
+    let cursor = null;
+
+    do {
+      const result = await this.graphqlWithAuth(query, { org, cursor });
+      const page = result?.organization?.membersWithRole;
+
+      if (!page) {
+        throw new Error(`GitHub organization ${org} not found`);
+      }
+
+      page.nodes.forEach(member => {
+        const emails = [member.email, ...(member.organizationVerifiedDomainEmails || [])]
+          .filter(email => email)
+          .map(email => email.toLowerCase());
+
+        members.push({ login: member.login, name: member.name || null, emails: [...new Set(emails)] });
+      });
+
+      cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (cursor);
+
+    return members;
+  }
+
+  /**
+   * Get the users of the ADO organization (Graph API, Entra ID and Microsoft accounts)
+   * @returns {Array<Object>} [{ displayName, email, principalName }]
+   */
+  async getAdoUsers() {
+    const users = [];
+    const headers = {
+      authorization: `Basic ${Buffer.from(`:${this.adoToken}`).toString('base64')}`,
+      accept: 'application/json'
+    };
+    let continuationToken = null;
+
+    do {
+      const url = new URL(`${UserDiscovery.getGraphUrl(this.orgUrl)}/_apis/graph/users`);
+      url.searchParams.set('subjectTypes', 'aad,msa');
+      url.searchParams.set('api-version', '7.1-preview.1');
+      if (continuationToken) url.searchParams.set('continuationToken', continuationToken);
+
+      const response = await this.retry.run('ADO list users', async () => {
+        const result = await fetch(url, { headers });
+        if (!result.ok) {
+          throw Object.assign(new Error(`ADO user list failed: HTTP ${result.status}`), { status: result.status, response: result });
+        }
+        return result;
+      }, { service: 'ado' });
+
+      const result = await response.json();
+      (result.value || []).forEach(user => {
+        users.push({
+          displayName: user.displayName || null,
+          email: (user.mailAddress || '').toLowerCase() || null,
+          principalName: (user.principalName || '').toLowerCase() || null
+        });
+      });
+
+      continuationToken = response.headers.get('x-ms-continuationtoken');
+    } while (continuationToken);
+
+    return users;
+  }
+
+  /**
+   * Graph API host of an organization
+   * (https://dev.azure.com/org → https://vssps.dev.azure.com/org, org.visualstudio.com → org.vssps.visualstudio.com)
+   */
+  static getGraphUrl(orgUrl) {
+    const url = new URL(orgUrl);
+
+    if (url.hostname === 'dev.azure.com') {
+      url.hostname = 'vssps.dev.azure.com';
+    } else if (url.hostname.endsWith('.visualstudio.com')) {
+      url.hostname = url.hostname.replace(/\.visualstudio\.com$/, '.vssps.visualstudio.com');
+    }
+
+    return url.toString().replace(/\/$/, '');
+  }
+
+  /**
+   * Match GitHub members to ADO users
+   * A member is matched by the first rule that finds candidates:
+   *   high   - an email equals the ADO email or principal name
+   *   medium - the GitHub name equals the ADO display name
+   *   low    - the login equals the local part of the ADO email, or the display name without spaces
+   * Several candidates, or an ADO user matched by several members, leave the member unresolved
+   *
+   * @param {Array<Object>} members - From getGithubMembers()
+   * @param {Array<Object>} adoUsers - From getAdoUsers()
+   * @param {Object} userMapper - UserMapper with the existing mapping (kept as is)
+   * @returns {Object} { existing, proposals: [{ github, ado, confidence, reason }], unresolved: [{ github, name, emails, reason, candidates }] }
+   */
+  match(members, adoUsers, userMapper) {
+    const existing = [];
+    const proposals = [];
+    const unresolved = [];
+
+    members.forEach(member => {
+      if (userMapper.hasmapping(member.login)) {
+        existing.push({ github: member.login, ado: userMapper.getAdoUser(member.login), confidence: 'existing', reason: 'existing mapping' });
+        return;
+      }
+
+      const result = UserDiscovery.findCandidates(member, adoUsers);
+
+      if (!result) {
+        unresolved.push({ github: member.login, name: member.name, emails: member.emails, reason: 'no matching ADO user', candidates: [] });
+      } else if (result.candidates.length > 1) {
+        unresolved.push({
+          github: member.login,
+          name: member.name,
+          emails: member.emails,
+          reason: `several ADO users match the ${result.reason}`,
+          candidates: result.candidates.map(UserDiscovery.getAdoIdentity)
+        });
+      } else {
+        proposals.push({
+          github: member.login,
+          ado: UserDiscovery.getAdoIdentity(result.candidates[0]),
+          confidence: result.confidence,
+          reason: result.reason
+        });
+      }
+    });
+
+    // An ADO user can only be one GitHub user
+    const claimed = new Map();
+    [...existing, ...proposals].forEach(entry => {
+      const key = entry.ado.toLowerCase();
+      claimed.set(key, [...(claimed.get(key) || []), entry.github]);
+    });
+
+    const accepted = proposals.filter(proposal => {
+      const logins = claimed.get(proposal.ado.toLowerCase());
+      if (logins.length === 1) return true;
+
+      const member = members.find(candidate => candidate.login === proposal.github);
+      unresolved.push({
+        github: proposal.github,
+        name: member.name,
+        emails: member.emails,
+        reason: `also matched by ${logins.filter(login => login !== proposal.github).join(', ')}`,
+        candidates: [proposal.ado]
+      });
+      return false;
+    });
+
+    return { existing, proposals: accepted, unresolved };
+  }
+
+  /**
+   * @returns {Object|null} { confidence, reason, candidates } for the first rule with candidates
+   */
+  static findCandidates(member, adoUsers) {
+    const byEmail = adoUsers.filter(user =>
+      member.emails.some(email => email === user.email || email === user.principalName)
+    );
+    if (byEmail.length > 0) {
+      return { confidence: 'high', reason: 'email', candidates: byEmail };
+    }
+
+    const name = normalizeName(member.name);
+    const byName = name ? adoUsers.filter(user => normalizeName(user.displayName) === name) : [];
+    if (byName.length > 0) {
+      return { confidence: 'medium', reason: 'display name', candidates: byName };
+    }
+
+    const login = compact(member.login);
+    const byLogin = adoUsers.filter(user => {
+      const localPart = (user.email || user.principalName || '').split('@')[0];
+      return compact(localPart) === login || compact(user.displayName) === login;
+    });
+    if (byLogin.length > 0) {
+      return { confidence: 'low', reason: 'login', candidates: byLogin };
+    }
+
+    return null;
+  }
+
+  /**
+   * Value written to the mapping (the ADO email, as in user_mapping.json)
+   */
+  static getAdoIdentity(user) {
+    return user.email || user.principalName || user.displayName;
+  }
+
+  /**
+   * Build the mapping file and the report
+   * @param {Object} result - From match()
+   * @returns {Object} { mapping: [{ github, ado, confidence, reason }], report }
+   */
+  buildOutput(result, organization) {
+    const minLevel = CONFIDENCE_LEVELS.indexOf(this.settings.minConfidence);
+    const included = proposal => CONFIDENCE_LEVELS.indexOf(proposal.confidence) >= minLevel;
+
+    const mapping = [...result.existing, ...result.proposals.filter(included)]
+      .sort((a, b) => a.github.localeCompare(b.github));
+
+    const count = confidence => result.proposals.filter(proposal => proposal.confidence === confidence).length;
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      organization,
+      minConfidence: this.settings.minConfidence,
+      summary: {
+        members: result.existing.length + result.proposals.length + result.unresolved.length,
+        existing: result.existing.length,
+        high: count('high'),
+        medium: count('medium'),
+        low: count('low'),
+        unresolved: result.unresolved.length
+      },
+      // Proposals below minConfidence are only in the report, for review
+      proposals: result.proposals.map(proposal => ({ ...proposal, included: included(proposal) })),
+      unresolved: result.unresolved
+    };
+
+    return { mapping, report };
+  }
+
+  /**
+   * Write the mapping (for review, then USER_MAPPING_FILE) and the report
+   */
+  save(mapping, report) {
+    fs.writeFileSync(this.settings.outputPath, JSON.stringify(mapping, null, 2));
+    fs.writeFileSync(this.settings.reportPath, JSON.stringify(report, null, 2));
+    console.log(`💾 ${mapping.length} mappings written to ${this.settings.outputPath} (report: ${this.settings.reportPath})`);
+  }
+
+  /**
+   * Log the discovery summary
+   */
+  static logReport(report) {
+    const { summary } = report;
+
+    console.log(`👥 ${summary.members} GitHub members: ${summary.existing} already mapped, ` +
+      `${summary.high} high, ${summary.medium} medium, ${summary.low} low confidence, ${summary.unresolved} unresolved`);
+
+    report.proposals
+      .filter(proposal => !proposal.included)
+      .forEach(proposal => console.log(`  ℹ️  ${proposal.github} → ${proposal.ado} (${proposal.confidence}, ${proposal.reason}) left out, below ${report.minConfidence}`));
+
+    report.unresolved.forEach(entry => {
+      const candidates = entry.candidates.length > 0 ? `: ${entry.candidates.join(', ')}` : '';
+      console.log(`  ⚠️  ${entry.github}: ${entry.reason}${candidates}`);
+    });
+  }
+}
+
+/**
+ * Compare names without case, accents or punctuation ("José  O'Neil" → "jose oneil")
+ */
+function normalizeName(name) {
+  if (!name) return null;
+
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim() || null;
+}
+
+/**
+ * Letters and digits only ("john.doe" and "John-Doe" → "johndoe")
+ */
+function compact(value) {
+  return (value || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+module.exports = UserDiscovery;
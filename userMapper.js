@@ -120,6 +120,38 @@ class UserMapper {
     return adoUsers.slice(1);
   }
 
+  /**
+   * Map the assignees of an issue, applying the unmapped user policy
+   * The first mapped assignee is the primary one; when none is mapped, the policy's
+   * default assignee is used if its actions include "defaultAssignee"
+   * @param {Array<string>} githubUsernames - GitHub usernames, in GitHub's order
+   * @param {Object} policy - { actions, defaultAssignee } (config.userMapping.unmappedUsers)
+   * @returns {Object} { assignedTo, additional: [ADO emails], unmapped: [GitHub usernames], usedDefault }
+   */
+  resolveAssignees(githubUsernames, policy = {}) {
+    const mapped = [];
+    const unmapped = [];
+
+    (githubUsernames || []).forEach(username => {
+      const adoUser = this.getAdoUser(username);
+      if (!adoUser) {
+        unmapped.push(username);
+      } else if (!mapped.includes(adoUser)) {
+        mapped.push(adoUser);
+      }
+    });
+
+    const usedDefault = mapped.length === 0 && unmapped.length > 0 &&
+      (policy.actions || []).includes('defaultAssignee') && !!policy.defaultAssignee;
+
+    return {
+      assignedTo: usedDefault ? policy.defaultAssignee : (mapped[0] || null),
+      additional: mapped.slice(1),
+      unmapped,
+      usedDefault
+    };
+  }
+
   /**
    * Check if a GitHub user has a mapping
    * @param {string} githubUsername - GitHub username
@@ -0,0 +1,254 @@
+/**
+ * Work Item Identity Store
+ *
+ * Keeps the durable mapping between GitHub issues and Azure DevOps work items
+ * (repo + issue number + node id → work item id) and mirrors it to a local JSON cache
+ */
+
+const fs = require('fs');
+
+class WorkItemStore {
+  constructor(cachePath = null) {
+    this.cachePath = cachePath;
+    this.entries = new Map();
+
+    if (cachePath) {
+      this.load();
+    }
+  }
+
+  /**
+   * Build the identity key for an issue
+   * Format: "owner/repo#number" (lowercase)
+   */
+  static buildKey(owner, repo, number) {
+    return `${owner}/${repo}#${number}`.toLowerCase();
+  }
+
+  /**
+   * Load mappings from the local cache file
+   */
+  load() {
+    if (!this.cachePath || !fs.existsSync(this.cachePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      (data.entries || []).forEach(entry => this.set(entry));
+      console.log(`Loaded ${this.entries.size} work item mappings`);
+    } catch (error) {
+      console.error(`Error loading work item mappings from ${this.cachePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write mappings to the local cache file
+   */
+  save() {
+    if (!this.cachePath) return;
+
+    try {
+      const data = {
+        version: "1.0",
+        updatedAt: new Date().toISOString(),
+        entries: Array.from(this.entries.values())
+      };
+      fs.writeFileSync(this.cachePath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error(`Error saving work item mappings to ${this.cachePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Get mapping for an issue
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} number - Issue number
+   * @returns {Object|null} Mapping entry or null
+   */
+  get(owner, repo, number) {
+    return this.entries.get(WorkItemStore.buildKey(owner, repo, number)) || null;
+  }
+
+  /**
+   * Get mapping by GitHub node id (survives issue transfers between repos)
+   * @param {string} nodeId - GitHub issue node id
+   * @returns {Object|null} Mapping entry or null
+   */
+  getByNodeId(nodeId) {
+    if (!nodeId) return null;
+
+    for (const entry of this.entries.values()) {
+      if (entry.nodeId === nodeId) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get mapping by ADO work item id
+   * @param {number} workItemId - ADO work item id
+   * @returns {Object|null} Mapping entry or null
+   */
+  getByWorkItemId(workItemId) {
+    for (const entry of this.entries.values()) {
+      if (entry.workItemId === Number(workItemId)) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find mapping for an issue, by repo + number first, then node id
+   */
+  find(owner, repo, number, nodeId = null) {
+    return this.get(owner, repo, number) || this.getByNodeId(nodeId);
+  }
+
+  /**
+   * Add or update a mapping
+   * @param {Object} entry - { owner, repo, number, nodeId, workItemId, source }
+   * @returns {Object} Stored entry
+   */
+  set(entry) {
+    if (!entry || !entry.owner || !entry.repo || !entry.number || !entry.workItemId) {
+      return null;
+    }
+
+    const key = WorkItemStore.buildKey(entry.owner, entry.repo, entry.number);
+    const existing = this.entries.get(key) || {};
+
+    const stored = {
+      ...existing,
+      ...entry,
+      key,
+      number: Number(entry.number),
+      workItemId: Number(entry.workItemId),
+      nodeId: entry.nodeId || existing.nodeId || null,
+      updatedAt: entry.updatedAt || new Date().toISOString()
+    };
+
+    this.entries.set(key, stored);
+    return stored;
+  }
+
+  /**
+   * Get the record of a synced GitHub comment
+   * @returns {Object|null} { adoCommentId, syncedAt } or null if not synced
+   */
+  getComment(owner, repo, number, githubCommentId) {
+    const entry = this.get(owner, repo, number);
+    return entry?.comments?.[githubCommentId] || null;
+  }
+
+  /**
+   * Record a synced GitHub comment on the issue's mapping
+   * @param {Object} data - { adoCommentId }
+   * @returns {Object|null} Stored record or null if the issue isn't mapped
+   */
+  setComment(owner, repo, number, githubCommentId, data = {}) {
+    const entry = this.get(owner, repo, number);
+    if (!entry) return null;
+
+    entry.comments = {
+      ...(entry.comments || {}),
+      [githubCommentId]: { ...data, syncedAt: new Date().toISOString() }
+    };
+
+    return entry.comments[githubCommentId];
+  }
+
+  /**
+   * Forget a synced GitHub comment (deleted on GitHub)
+   */
+  removeComment(owner, repo, number, githubCommentId) {
+    const entry = this.get(owner, repo, number);
+    if (entry?.comments) {
+      delete entry.comments[githubCommentId];
+    }
+  }
+
+  /**
+   * Replace the links of an issue that wait for another issue's work item
+   * @param {Array<Object>} links - [{ rel, comment, target: { owner, repo, number } }]
+   * @returns {Object|null} Stored entry or null if the issue isn't mapped
+   */
+  setPendingLinks(owner, repo, number, links) {
+    const entry = this.get(owner, repo, number);
+    if (!entry) return null;
+
+    if (links.length > 0) {
+      entry.pendingLinks = links;
+    } else {
+      delete entry.pendingLinks;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Take the pending links that point at an issue (its work item now exists)
+   * @returns {Array<Object>} [{ entry, link }] - entry is the issue the link starts from
+   */
+  takePendingLinksTo(owner, repo, number) {
+    const targetKey = WorkItemStore.buildKey(owner, repo, number);
+    const taken = [];
+
+    for (const entry of this.entries.values()) {
+      if (!entry.pendingLinks) continue;
+
+      const remaining = [];
+      entry.pendingLinks.forEach(link => {
+        if (WorkItemStore.buildKey(link.target.owner, link.target.repo, link.target.number) === targetKey) {
+          taken.push({ entry, link });
+        } else {
+          remaining.push(link);
+        }
+      });
+
+      this.setPendingLinks(entry.owner, entry.repo, entry.number, remaining);
+    }
+
+    return taken;
+  }
+
+  /**
+   * Remove a mapping
+   */
+  remove(owner, repo, number) {
+    this.entries.delete(WorkItemStore.buildKey(owner, repo, number));
+  }
+
+  /**
+   * Get mapping statistics
+   */
+  getStats() {
+    return {
+      totalMappings: this.entries.size,
+      cachePath: this.cachePath
+    };
+  }
+
+  /**
+   * Log current mappings (for debugging)
+   */
+  logMappings(logLevel = 200) {
+    if (logLevel >= 300) {
+      console.log("=== Work Item Mappings ===");
+      this.entries.forEach((entry, key) => {
+        console.log(`  ${key} → ${entry.workItemId}${entry.nodeId ? ` (${entry.nodeId})` : ''}`);
+      });
+      console.log(`Total: ${this.entries.size} mappings`);
+      console.log("==========================");
+    } else if (logLevel >= 200) {
+      console.log(`Work item mappings loaded: ${this.entries.size} issues`);
+    }
+  }
+}
+
+module.exports = WorkItemStore;
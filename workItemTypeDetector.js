@@ -0,0 +1,183 @@
+/**
+ * Work Item Type Detector
+ *
+ * Decides the ADO work item type of a GitHub issue from config.workItemTypes:
+ * GitHub issue type, GitHub Projects field, issue form, title prefix and labels,
+ * checked in the configured precedence, and reports which rule matched
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const RULES = ['issueType', 'projectField', 'template', 'title', 'label'];
+
+class WorkItemTypeDetector {
+  /**
+   * @param {Object} settings - config.workItemTypes
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.precedence = (settings.precedence || RULES).filter(rule => RULES.includes(rule));
+
+    // Issue forms, loaded on first use
+    this.issueForms = null;
+  }
+
+  /**
+   * Detect the work item type of an issue
+   * @param {Object} issue - { title, body, labels: [names], issueType: GitHub issue type name }
+   * @param {Object|null} projectInfo - GitHub Projects info (GitHubProjectsClient)
+   * @returns {Object} { type, rule, match } - rule is "default" when nothing matched
+   */
+  detect(issue, projectInfo = null) {
+    for (const rule of this.precedence) {
+      const result = this.matchRule(rule, issue, projectInfo);
+      if (result) {
+        return { ...result, rule };
+      }
+    }
+
+    return { type: this.settings.default, rule: 'default', match: null };
+  }
+
+  /**
+   * Describe a detection result for logs ("Bug (title: /^\[Bug\]/i)")
+   */
+  static describe(result) {
+    return result.match ? `${result.type} (${result.rule}: ${result.match})` : `${result.type} (${result.rule})`;
+  }
+
+  /**
+   * @returns {Object|null} { type, match } or null if the rule doesn't apply
+   */
+  matchRule(rule, issue, projectInfo) {
+    switch (rule) {
+      case 'issueType': return this.matchIssueType(issue.issueType);
+      case 'projectField': return this.matchProjectField(projectInfo);
+      case 'template': return this.matchTemplate(issue.body);
+      case 'title': return this.matchTitle(issue.title);
+      case 'label': return this.matchLabels(issue.labels);
+      default: return null;
+    }
+  }
+
+  /**
+   * GitHub issue type ("Bug", "Feature", "Task") → workItemTypes.issueTypes
+   */
+  matchIssueType(issueType) {
+    const type = issueType ? findIgnoreCase(this.settings.issueTypes, issueType) : null;
+    return type ? { type, match: `"${issueType}"` } : null;
+  }
+
+  /**
+   * GitHub Projects field value → workItemTypes.projectFields["<field>"]["<value>"]
+   */
+  matchProjectField(projectInfo) {
+    if (!projectInfo?.fields) return null;
+
+    for (const [fieldName, values] of Object.entries(this.settings.projectFields || {})) {
+      const value = projectInfo.fields[fieldName];
+      const type = typeof value === 'string' ? findIgnoreCase(values, value) : null;
+
+      if (type) {
+        return { type, match: `${fieldName} "${value}"` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Issue form the issue was created from → workItemTypes.templates["<form name>"]
+   */
+  matchTemplate(body) {
+    const formName = this.findIssueForm(body);
+    const type = formName ? findIgnoreCase(this.settings.templates, formName) : null;
+    return type ? { type, match: `"${formName}"` } : null;
+  }
+
+  /**
+   * Title prefix → workItemTypes.patterns (first matching pattern)
+   */
+  matchTitle(title) {
+    const entry = (this.settings.patterns || []).find(pattern => pattern.pattern.test(title || ''));
+    return entry ? { type: entry.type, match: String(entry.pattern) } : null;
+  }
+
+  /**
+   * First label with a type → workItemTypes.labelFallbacks
+   */
+  matchLabels(labels) {
+    for (const label of labels || []) {
+      const type = findIgnoreCase(this.settings.labelFallbacks, label);
+      if (type) {
+        return { type, match: `"${label}"` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the issue form an issue body was rendered from
+   * Forms render each field as "### <label>"; the form whose fields all appear wins
+   * (most fields first, so a form isn't mistaken for a smaller one)
+   * @returns {string|null} Form name
+   */
+  findIssueForm(body) {
+    if (!body) return null;
+
+    const headings = new Set(Array.from(body.matchAll(/^###\s+(.+?)\s*$/gm), match => match[1]));
+    if (headings.size === 0) return null;
+
+    const form = this.getIssueForms()
+      .filter(form => form.fields.length > 0 && form.fields.every(field => headings.has(field)))
+      .sort((a, b) => b.fields.length - a.fields.length)[0];
+
+    return form ? form.name : null;
+  }
+
+  /**
+   * Load the issue forms (.yml/.yaml) from workItemTypes.templateDir
+   * @returns {Array<Object>} [{ name, fields: [labels] }]
+   */
+  getIssueForms() {
+    if (this.issueForms) return this.issueForms;
+
+    this.issueForms = [];
+    const dir = this.settings.templateDir;
+
+    if (!dir || !fs.existsSync(dir)) return this.issueForms;
+
+    for (const fileName of fs.readdirSync(dir)) {
+      if (!/\.ya?ml$/i.test(fileName) || /^config\.ya?ml$/i.test(fileName)) continue;
+
+      try {
+        const form = yaml.load(fs.readFileSync(path.join(dir, fileName), 'utf8'));
+        if (!form?.name || !Array.isArray(form.body)) continue;
+
+        this.issueForms.push({
+          name: form.name,
+          fields: form.body
+            .filter(field => field.type !== 'markdown' && field.attributes?.label)
+            .map(field => field.attributes.label.trim())
+        });
+      } catch (error) {
+        console.error(`Error reading issue form ${fileName}:`, error.message);
+      }
+    }
+
+    return this.issueForms;
+  }
+}
+
+/**
+ * Look up a key case-insensitively
+ */
+function findIgnoreCase(map, key) {
+  const match = Object.keys(map || {}).find(candidate => candidate.toLowerCase() === String(key).toLowerCase());
+  return match ? map[match] : null;
+}
+
+module.exports = WorkItemTypeDetector;
@@ -0,0 +1,45 @@
+/**
+ * Worker Pool Utility
+ *
+ * Runs a task for each item with at most `concurrency` tasks at a time. An item's
+ * task runs start to finish in one worker, so its steps keep their order
+ */
+
+class WorkerPool {
+  /**
+   * @param {number} concurrency - Maximum tasks at a time (config.rateLimiting.maxConcurrent)
+   */
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+  }
+
+  /**
+   * Run the task for every item
+   * When a task throws, no new items are started; the running ones finish, then the error is thrown
+   * @param {Array} items - Items in processing order
+   * @param {Function} task - async (item, index) => void
+   */
+  async run(items, task) {
+    let next = 0;
+    let failure = null;
+
+    const worker = async () => {
+      while (!failure && next < items.length) {
+        const index = next++;
+
+        try {
+          await task(items[index], index);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, worker);
+    await Promise.all(workers);
+
+    if (failure) throw failure;
+  }
+}
+
+module.exports = WorkerPool;